@@ -3,319 +3,256 @@
  * Main Application JavaScript
  */
 
+import { QuerySyntaxError, SearchEngine } from './js/search-engine.js';
+import { DataLoader } from './js/data-loader.js';
+import { ReviewScheduler } from './js/review-scheduler.js';
+import { QuizGenerator } from './js/quiz-generator.js';
+import { TermExporter } from './js/term-exporter.js';
+import { FavoritesStore } from './js/favorites-store.js';
+import { SortPreferences } from './js/sort-preferences.js';
+
 /**
- * SearchEngine class handles searching and filtering of terms
+ * Router class maps the URL hash to application views and keeps browser
+ * history in sync with them
+ *
+ * Routes:
+ *   #/                              areas grid
+ *   #/area/<area>                   terms of one academic area
+ *   #/buscar?q=<query>[&area=<a>]   search results, optionally within one area
+ *   #/termino/<slug>                a single term
  */
-class SearchEngine {
-    constructor(terms = []) {
-        this.terms = terms;
-        this.searchDebounceTimeout = null;
-        this.searchDebounceDelay = 300; // 300ms delay for debouncing
+class Router {
+    constructor() {
+        this.onRouteChange = null;
+        this.lastHash = null;
+        this.historyIndex = 0; // Position of the current entry among this app's history entries
+        this.handleHistoryChange = this.handleHistoryChange.bind(this);
     }
 
     /**
-     * Update the terms dataset
-     * @param {Array} terms - Array of term objects
+     * Start listening for back/forward navigation and manual hash edits
+     * @param {Function} onRouteChange - Called with the new route object and
+     *   { restored }, true when returning to an earlier history entry
      */
-    updateTerms(terms) {
-        this.terms = terms;
+    start(onRouteChange) {
+        this.onRouteChange = onRouteChange;
+        this.lastHash = window.location.hash;
+        this.historyIndex = this.readHistoryIndex() || 0;
+        window.history.replaceState({ index: this.historyIndex }, '', window.location.hash || '#/');
+        // Browsers fire popstate, hashchange or both depending on how the
+        // hash changed; handleHistoryChange ignores the duplicate
+        window.addEventListener('popstate', this.handleHistoryChange);
+        window.addEventListener('hashchange', this.handleHistoryChange);
     }
 
     /**
-     * Perform real-time search across terms
-     * @param {string} query - Search query string
-     * @returns {Array} Array of matching terms
+     * Notify the listener when the hash really changed
      */
-    search(query) {
-        if (!query || typeof query !== 'string') {
-            return [];
+    handleHistoryChange() {
+        if (window.location.hash === this.lastHash) {
+            return;
         }
+        this.lastHash = window.location.hash;
 
-        const normalizedQuery = this.normalizeText(query.trim());
-        
-        if (normalizedQuery.length === 0) {
-            return [];
+        // Entries created by plain links (<a href="#/...">) carry no state yet;
+        // entries that do were visited before (back/forward)
+        const index = this.readHistoryIndex();
+        if (index === null) {
+            this.historyIndex += 1;
+            window.history.replaceState({ index: this.historyIndex }, '', window.location.hash);
+        } else {
+            this.historyIndex = index;
         }
 
-        return this.terms.filter(term => {
-            // Search across termino_formal, dominicanismo, and definicion fields
-            const searchFields = [
-                this.normalizeText(term.termino_formal || ''),
-                this.normalizeText(term.dominicanismo || '')
-            ];
-
-            return searchFields.some(field => 
-                field.includes(normalizedQuery)
-            );
-        });
-    }
-
-    /**
-     * Filter terms by academic area
-     * @param {string} area - Academic area name
-     * @returns {Array} Array of terms for the specified area
-     */
-    filterByArea(area) {
-        if (!area || typeof area !== 'string') {
-            return [];
+        if (this.onRouteChange) {
+            this.onRouteChange(this.getCurrentRoute(), { restored: index !== null });
         }
-
-        return this.terms.filter(term => 
-            term.area && term.area.toLowerCase() === area.toLowerCase()
-        );
     }
 
     /**
-     * Perform debounced search to optimize performance
-     * @param {string} query - Search query string
-     * @param {Function} callback - Callback function to execute with results
+     * Read the app history index stored in the current history entry
+     * @returns {number|null} Index, or null if the entry was not created by the app
      */
-    debouncedSearch(query, callback) {
-        // Clear existing timeout
-        if (this.searchDebounceTimeout) {
-            clearTimeout(this.searchDebounceTimeout);
-        }
-
-        // Set new timeout
-        this.searchDebounceTimeout = setTimeout(() => {
-            const results = this.search(query);
-            callback(results);
-        }, this.searchDebounceDelay);
+    readHistoryIndex() {
+        const state = window.history.state;
+        return state && typeof state.index === 'number' ? state.index : null;
     }
 
     /**
-     * Normalize text for better Spanish language support
-     * Converts to lowercase and removes accented characters
-     * @param {string} text - Text to normalize
-     * @returns {string} Normalized text
+     * Check whether going back in history stays inside the app
+     * @returns {boolean} True if there is an earlier app entry
      */
-    normalizeText(text) {
-        if (!text || typeof text !== 'string') {
-            return '';
-        }
-
-        return text
-            .toLowerCase()
-            .normalize('NFD') // Decompose accented characters
-            .replace(/[\u0300-\u036f]/g, '') // Remove diacritical marks
-            .trim();
+    canGoBack() {
+        return this.historyIndex > 0;
     }
 
     /**
-     * Get search statistics
-     * @returns {Object} Object with search statistics
+     * Get the route for the current URL
+     * @returns {Object} Route object (see parse())
      */
-    getSearchStats() {
-        return {
-            totalTerms: this.terms.length,
-            debounceDelay: this.searchDebounceDelay
-        };
+    getCurrentRoute() {
+        return this.parse(window.location.hash);
     }
 
     /**
-     * Clear any pending debounced search
+     * Parse a location hash into a route object
+     * @param {string} hash - Location hash such as "#/area/salud"
+     * @returns {Object} Route with a name ('areas', 'area', 'search', 'term', 'favorites', 'study' or 'quiz') and its parameters
      */
-    clearDebounce() {
-        if (this.searchDebounceTimeout) {
-            clearTimeout(this.searchDebounceTimeout);
-            this.searchDebounceTimeout = null;
-        }
-    }
-}
+    parse(hash) {
+        const path = (hash || '').replace(/^#\/?/, '');
+        const separator = path.indexOf('?');
+        const pathname = separator === -1 ? path : path.slice(0, separator);
+        const params = new URLSearchParams(separator === -1 ? '' : path.slice(separator + 1));
 
-/**
- * DataLoader class handles loading and validation of term data from JSON files
- */
-class DataLoader {
-    constructor() {
-        this.academicAreas = [
-            'informatica',
-            'salud', 
-            'artes',
-            'hosteleria',
-            'construccion',
-            'industrial',
-            'electromecanica'
-        ];
-        this.loadedData = new Map();
-        this.allTerms = [];
-    }
-
-    /**
-     * Load all data from all academic area JSON files
-     * @returns {Promise<Array>} Array of all terms with area information
-     */
-    async loadAllData() {
+        let segments;
         try {
-            const loadPromises = this.academicAreas.map(area => this.loadAreaData(area));
-            const areaResults = await Promise.allSettled(loadPromises);
-            
-            this.allTerms = [];
-            const failedAreas = [];
-            
-            areaResults.forEach((result, index) => {
-                const area = this.academicAreas[index];
-                if (result.status === 'fulfilled') {
-                    const areaTerms = result.value.map(term => ({
-                        ...term,
-                        area: area
-                    }));
-                    this.allTerms.push(...areaTerms);
-                    this.loadedData.set(area, areaTerms);
-                } else {
-                    console.warn(`Failed to load data for area: ${area}`, result.reason);
-                    failedAreas.push(area);
-                }
-            });
-
-            if (failedAreas.length > 0) {
-                console.warn(`Some areas failed to load: ${failedAreas.join(', ')}`);
-            }
-
-            if (this.allTerms.length === 0) {
-                throw new Error('No se pudieron cargar datos de ninguna área académica');
-            }
-
-            console.log(`Successfully loaded ${this.allTerms.length} terms from ${this.loadedData.size} areas`);
-            return this.allTerms;
-            
+            segments = pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
         } catch (error) {
-            console.error('Error loading all data:', error);
-            throw new Error('Error al cargar los datos del diccionario');
+            // Malformed escape sequences fall back to the home route
+            return { name: 'areas' };
         }
-    }
 
-    /**
-     * Load data for a specific academic area
-     * @param {string} area - The academic area name
-     * @returns {Promise<Array>} Array of terms for the specified area
-     */
-    async loadAreaData(area) {
-        try {
-            const response = await fetch(`./data/${area}.json`);
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    throw new Error(`Archivo de datos no encontrado para el área: ${area}`);
-                } else {
-                    throw new Error(`Error HTTP ${response.status} al cargar datos del área: ${area}`);
+        switch (segments[0]) {
+            case 'area':
+                if (segments[1]) {
+                    return { name: 'area', area: segments[1] };
                 }
-            }
-
-            const data = await response.json();
-            
-            if (!Array.isArray(data)) {
-                throw new Error(`Formato de datos inválido para el área ${area}: se esperaba un array`);
-            }
-
-            // Validate each term in the data
-            const validTerms = [];
-            data.forEach((term, index) => {
-                if (this.validateTermSchema(term)) {
-                    validTerms.push(term);
-                } else {
-                    console.warn(`Invalid term schema at index ${index} in ${area}.json:`, term);
+                break;
+            case 'buscar':
+                return { name: 'search', query: params.get('q') || '', area: params.get('area') || null };
+            case 'termino':
+                if (segments[1]) {
+                    return { name: 'term', slug: segments[1] };
                 }
-            });
-
-            if (validTerms.length === 0) {
-                throw new Error(`No se encontraron términos válidos en el área: ${area}`);
-            }
-
-            console.log(`Loaded ${validTerms.length} valid terms for area: ${area}`);
-            return validTerms;
-            
-        } catch (error) {
-            if (error instanceof TypeError && error.message.includes('fetch')) {
-                throw new Error(`Error de red al cargar datos del área: ${area}`);
-            }
-            throw error;
+                break;
+            case 'mis-terminos':
+                return { name: 'favorites' };
+            case 'estudiar':
+                return { name: 'study', area: segments[1] || null, categorias: params.getAll('categoria') };
+            case 'quiz':
+                return { name: 'quiz', area: segments[1] || null };
         }
+
+        return { name: 'areas' };
     }
 
     /**
-     * Validate that a term object has the required schema
-     * @param {Object} term - The term object to validate
-     * @returns {boolean} True if the term is valid, false otherwise
+     * Build the location hash for a route
+     * @param {Object} route - Route object (see parse())
+     * @returns {string} Location hash
      */
-    validateTermSchema(term) {
-        if (!term || typeof term !== 'object') {
-            return false;
-        }
-
-        const requiredFields = ['termino_formal', 'dominicanismo', 'ejemplo_uso'];
-        const optionalFields = ['definicion'];
-
-        for (const field of requiredFields) {
-            if (!term.hasOwnProperty(field) ||
-                typeof term[field] !== 'string' ||
-                term[field].trim().length === 0) {
-                return false;
+    build(route) {
+        switch (route.name) {
+            case 'area':
+                return `#/area/${encodeURIComponent(route.area)}`;
+            case 'search': {
+                const params = new URLSearchParams({ q: route.query });
+                if (route.area) {
+                    params.set('area', route.area);
+                }
+                return `#/buscar?${params.toString()}`;
             }
-        }
-
-        for (const field of optionalFields) {
-            if (term.hasOwnProperty(field) && typeof term[field] !== 'string') {
-                return false;
+            case 'term':
+                return `#/termino/${encodeURIComponent(route.slug)}`;
+            case 'favorites':
+                return '#/mis-terminos';
+            case 'study': {
+                const path = route.area ? `#/estudiar/${encodeURIComponent(route.area)}` : '#/estudiar';
+                const params = new URLSearchParams();
+                (route.categorias || []).forEach(categoria => params.append('categoria', categoria));
+                const query = params.toString();
+                return query ? `${path}?${query}` : path;
             }
+            case 'quiz':
+                return route.area ? `#/quiz/${encodeURIComponent(route.area)}` : '#/quiz';
+            default:
+                return '#/';
         }
-
-
-        return true;
-    }
-
-    /**
-     * Get terms for a specific area (from loaded data)
-     * @param {string} area - The academic area name
-     * @returns {Array} Array of terms for the specified area
-     */
-    getAreaTerms(area) {
-        return this.loadedData.get(area) || [];
     }
 
     /**
-     * Get all loaded terms
-     * @returns {Array} Array of all loaded terms
+     * Update the URL for a route without triggering onRouteChange
+     * @param {Object} route - Route object (see parse())
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry instead of adding one
+     * @returns {boolean} True if the URL changed
      */
-    getAllTerms() {
-        return this.allTerms;
-    }
+    navigate(route, { replace = false } = {}) {
+        const hash = this.build(route);
+        const currentHash = window.location.hash || '#/';
 
-    /**
-     * Check if data has been loaded
-     * @returns {boolean} True if data is loaded, false otherwise
-     */
-    isDataLoaded() {
-        return this.allTerms.length > 0;
-    }
+        if (hash === currentHash) {
+            return false;
+        }
 
-    /**
-     * Get loading statistics
-     * @returns {Object} Object with loading statistics
-     */
-    getLoadingStats() {
-        return {
-            totalTerms: this.allTerms.length,
-            loadedAreas: this.loadedData.size,
-            totalAreas: this.academicAreas.length,
-            areasLoaded: Array.from(this.loadedData.keys())
-        };
+        if (replace) {
+            window.history.replaceState({ index: this.historyIndex }, '', hash);
+        } else {
+            this.historyIndex += 1;
+            window.history.pushState({ index: this.historyIndex }, '', hash);
+        }
+        this.lastHash = window.location.hash;
+        return true;
     }
 }
 
 class DiccionarioApp {
     constructor() {
-        this.currentView = 'loading'; // 'loading', 'areas', 'search', 'area-filter', 'error'
+        this.currentView = 'loading'; // 'loading', 'areas', 'search', 'area-filter', 'term', 'favorites', 'study', 'quiz', 'error'
         this.currentArea = null;
+        this.currentTermSlug = null;
         this.searchQuery = '';
+        this.selectedCategorias = new Set(); // Active categoria chips
+        this.viewTerms = []; // Terms on screen before the categoria filter
+        this.viewMatches = new Map(); // Search results for viewTerms, if any
+        this.searchResults = []; // Ranked results of the current search, before collapsing
+        this.collapseEquivalents = false; // Show one result per concept across areas
+        this.suggestions = []; // Autocomplete suggestions under the search box
+        this.activeSuggestionIndex = -1; // Highlighted suggestion, -1 for none
+        this.maxSuggestions = 8;
         this.terms = [];
         this.dataLoader = new DataLoader();
         this.searchEngine = new SearchEngine();
+        this.router = new Router();
+        this.favorites = new FavoritesStore();
+        this.sortPreferences = new SortPreferences();
+        this.sortLabels = {
+            relevance: 'Relevancia',
+            termino_formal: 'Término formal (A–Z)',
+            dominicanismo: 'Dominicanismo (A–Z)'
+        };
+        this.groupLabels = {
+            none: 'Sin agrupar',
+            area: 'Área',
+            categoria: 'Categoría'
+        };
+        this.letterJumpMinTerms = 30; // Shorter alphabetical lists get no A–Z bar
+        this.cardBatchSize = 40; // Term cards rendered at a time, see renderMoreCards()
+        this.cardList = null; // List being rendered in batches, see renderTermCards()
+        this.loadMoreObserver = null; // Loads the next batch as the list end comes into view
+        this.scrollPositions = new Map(); // Hash -> { scrollY, renderedCards } of visited views
+        this.pendingScroll = null; // Position to restore once its view is rendered
+        this.shownHash = null; // Hash of the view on screen, which its scroll position is saved under
+        this.reviewScheduler = new ReviewScheduler();
+        this.studySession = null; // Flashcard session on screen, see startStudySession()
+        this.termExporter = new TermExporter();
+        this.quiz = null; // Quiz in progress, see startQuiz()
+        this.quizArea = null; // Area preselected in the quiz setup
+        this.studyGrades = [
+            { quality: 1, label: 'Otra vez' },
+            { quality: 3, label: 'Difícil' },
+            { quality: 4, label: 'Bien' },
+            { quality: 5, label: 'Fácil' }
+        ];
         this.isDataLoaded = false;
         this.currentTheme = 'light'; // Default theme
+        this.fullTextSearch = false; // Also search categoria, definicion and ejemplo_uso
+        this.deferredInstallPrompt = null; // Saved beforeinstallprompt event
         
         // DOM elements
         this.elements = {
+            header: document.querySelector('.header'),
             loadingState: document.getElementById('loadingState'),
             errorState: document.getElementById('errorState'),
             areasSection: document.getElementById('areasSection'),
@@ -323,15 +260,54 @@ class DiccionarioApp {
             searchInput: document.getElementById('searchInput'),
             searchClear: document.getElementById('searchClear'),
             searchStatus: document.getElementById('searchStatus'),
+            searchSuggestions: document.getElementById('searchSuggestions'),
+            fullTextToggle: document.getElementById('fullTextToggle'),
             areasGrid: document.getElementById('areasGrid'),
             resultsGrid: document.getElementById('resultsGrid'),
             resultsTitle: document.getElementById('resultsTitle'),
             resultsCount: document.getElementById('resultsCount'),
+            categoriaFilter: document.getElementById('categoriaFilter'),
+            resultsSort: document.getElementById('resultsSort'),
+            sortSelect: document.getElementById('sortSelect'),
+            groupSelect: document.getElementById('groupSelect'),
+            letterJump: document.getElementById('letterJump'),
+            loadMore: document.getElementById('loadMore'),
+            loadMoreStatus: document.getElementById('loadMoreStatus'),
+            loadMoreButton: document.getElementById('loadMoreButton'),
             noResults: document.getElementById('noResults'),
+            noResultsHelp: document.getElementById('noResultsHelp'),
             retryButton: document.getElementById('retryButton'),
             backButton: document.getElementById('backButton'),
+            termDetailSection: document.getElementById('termDetailSection'),
+            termDetail: document.getElementById('termDetail'),
+            termDetailBack: document.getElementById('termDetailBack'),
             themeToggle: document.getElementById('themeToggle'),
-            themeStatus: document.getElementById('themeStatus')
+            themeStatus: document.getElementById('themeStatus'),
+            offlineIndicator: document.getElementById('offlineIndicator'),
+            installButton: document.getElementById('installButton'),
+            favoritesLink: document.getElementById('favoritesLink'),
+            favoritesCount: document.getElementById('favoritesCount'),
+            studyButton: document.getElementById('studyButton'),
+            studySummary: document.getElementById('studySummary'),
+            studySection: document.getElementById('studySection'),
+            studyTitle: document.getElementById('studyTitle'),
+            studyProgress: document.getElementById('studyProgress'),
+            studyCard: document.getElementById('studyCard'),
+            studyBack: document.getElementById('studyBack'),
+            quizButton: document.getElementById('quizButton'),
+            quizSection: document.getElementById('quizSection'),
+            quizTitle: document.getElementById('quizTitle'),
+            quizProgress: document.getElementById('quizProgress'),
+            quizSetup: document.getElementById('quizSetup'),
+            quizArea: document.getElementById('quizArea'),
+            quizCount: document.getElementById('quizCount'),
+            quizContent: document.getElementById('quizContent'),
+            quizBack: document.getElementById('quizBack'),
+            printButton: document.getElementById('printButton'),
+            exportMenu: document.getElementById('exportMenu'),
+            collapseToggle: document.getElementById('collapseToggle'),
+            collapseEquivalents: document.getElementById('collapseEquivalents'),
+            printGlossary: document.getElementById('printGlossary')
         };
         
         this.init();
@@ -347,8 +323,12 @@ class DiccionarioApp {
             
             // Initialize UI state
             this.initializeUIState();
+            this.updateFavoritesCount();
             
             this.setupEventListeners();
+            this.router.start((route, change) => this.applyRoute(route, change));
+            this.registerServiceWorker();
+            this.setupInstallPrompt();
             await this.loadData();
             
             // Apply responsive optimizations after data is loaded
@@ -357,8 +337,105 @@ class DiccionarioApp {
             console.log('Diccionario Técnico ITSC initialized successfully');
         } catch (error) {
             console.error('Error initializing application:', error);
-            this.showError(error.message || 'Error al inicializar la aplicación');
+            if (!navigator.onLine) {
+                this.showError('Sin conexión a internet. Abre el diccionario una vez con conexión para guardarlo en este dispositivo.');
+            } else {
+                this.showError(error.message || 'Error al inicializar la aplicación');
+            }
+        }
+    }
+
+    /**
+     * Register the service worker (sw.js) that keeps the app usable offline
+     * and track connectivity for the offline indicator
+     */
+    registerServiceWorker() {
+        // Connectivity reported by the browser
+        window.addEventListener('online', () => this.updateOfflineIndicator(false));
+        window.addEventListener('offline', () => this.updateOfflineIndicator(true));
+        this.updateOfflineIndicator(!navigator.onLine);
+        
+        // Service workers only run over http(s), not from file://
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+            return;
+        }
+        
+        // The service worker reports when a cached copy had to be used
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'network-status') {
+                this.updateOfflineIndicator(!e.data.online);
+            }
+        });
+        
+        navigator.serviceWorker.register('./sw.js')
+            .then(registration => {
+                console.log('Service worker registered with scope:', registration.scope);
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+    }
+
+    /**
+     * Offer installation through the "Instalar" button when the browser
+     * fires beforeinstallprompt (see manifest.webmanifest)
+     */
+    setupInstallPrompt() {
+        if (!this.elements.installButton) {
+            return;
+        }
+        
+        window.addEventListener('beforeinstallprompt', (e) => {
+            // Keep the event to show the prompt from our own button
+            e.preventDefault();
+            this.deferredInstallPrompt = e;
+            this.elements.installButton.hidden = false;
+        });
+        
+        window.addEventListener('appinstalled', () => {
+            this.deferredInstallPrompt = null;
+            this.elements.installButton.hidden = true;
+            console.log('Application installed');
+        });
+        
+        this.elements.installButton.addEventListener('click', () => {
+            this.handleInstallClick();
+        });
+    }
+    
+    /**
+     * Show the browser's install prompt saved by setupInstallPrompt()
+     */
+    async handleInstallClick() {
+        const installPrompt = this.deferredInstallPrompt;
+        if (!installPrompt) {
+            return;
+        }
+        
+        // The prompt can only be used once
+        this.deferredInstallPrompt = null;
+        this.elements.installButton.hidden = true;
+        
+        try {
+            installPrompt.prompt();
+            const choice = await installPrompt.userChoice;
+            console.log(`Install prompt outcome: ${choice.outcome}`);
+        } catch (error) {
+            console.warn('Install prompt failed:', error);
+        }
+    }
+    
+    /**
+     * Show or hide the "offline / versión guardada" indicator
+     * @param {boolean} isOffline - True when content is being served from the saved copy
+     */
+    updateOfflineIndicator(isOffline) {
+        if (!this.elements.offlineIndicator) {
+            return;
         }
+        
+        this.elements.offlineIndicator.hidden = !isOffline;
+        document.documentElement.classList.toggle('is-offline', isOffline);
     }
 
     /**
@@ -394,11 +471,13 @@ class DiccionarioApp {
             // Initialize SearchEngine with loaded terms
             this.searchEngine.updateTerms(this.terms);
             this.isDataLoaded = true;
+            this.renderAreaCards();
             
             const stats = this.dataLoader.getLoadingStats();
             console.log('Data loading completed:', stats);
             
-            this.showAreasView();
+            // Restore the view from the URL (areas grid by default)
+            this.applyRoute(this.router.getCurrentRoute());
             
         } catch (error) {
             console.error('Error loading data:', error);
@@ -408,64 +487,93 @@ class DiccionarioApp {
     }
     
     setupEventListeners() {
-        // Enhanced area card interaction handlers
-        const areaCards = document.querySelectorAll('.area-card');
-        areaCards.forEach(card => {
+        // Area card interaction handlers, delegated because the cards are
+        // rendered from the area registry (see renderAreaCards())
+        if (this.elements.areasGrid) {
+            const grid = this.elements.areasGrid;
+            
             // Click handler for mouse and touch
-            card.addEventListener('click', (e) => {
-                const area = e.currentTarget.dataset.area;
-                this.handleAreaClick(area);
+            grid.addEventListener('click', (e) => {
+                const card = e.target.closest('.area-card');
+                if (card) {
+                    this.handleAreaClick(card.dataset.area);
+                }
             });
             
             // Touch-specific handlers for better mobile experience
-            card.addEventListener('touchstart', (e) => {
+            grid.addEventListener('touchstart', (e) => {
                 // Add active state for touch feedback
-                if (e.currentTarget && e.currentTarget.style) {
-                    e.currentTarget.style.transform = 'translateY(-2px) scale(0.98)';
+                const card = e.target.closest('.area-card');
+                if (card) {
+                    card.style.transform = 'translateY(-2px) scale(0.98)';
                 }
             }, { passive: true });
             
-            card.addEventListener('touchend', (e) => {
+            grid.addEventListener('touchend', (e) => {
                 // Reset transform after touch
+                const card = e.target.closest('.area-card');
                 setTimeout(() => {
-                    if (e.currentTarget && e.currentTarget.style) {
-                        e.currentTarget.style.transform = '';
+                    if (card) {
+                        card.style.transform = '';
                     }
                 }, 150);
             }, { passive: true });
             
-            card.addEventListener('touchcancel', (e) => {
+            grid.addEventListener('touchcancel', (e) => {
                 // Reset transform if touch is cancelled
-                if (e.currentTarget && e.currentTarget.style) {
-                    e.currentTarget.style.transform = '';
+                const card = e.target.closest('.area-card');
+                if (card) {
+                    card.style.transform = '';
                 }
             }, { passive: true });
             
             // Keyboard accessibility
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+            grid.addEventListener('keydown', (e) => {
+                const card = e.target.closest('.area-card');
+                if (card && (e.key === 'Enter' || e.key === ' ')) {
                     e.preventDefault();
-                    const area = e.currentTarget.dataset.area;
-                    this.handleAreaClick(area);
+                    this.handleAreaClick(card.dataset.area);
                 }
             });
-        });
+        }
         
         // Enhanced search input handlers with mobile optimizations
         if (this.elements.searchInput) {
             // Real-time search with input event listener
             this.elements.searchInput.addEventListener('input', (e) => {
                 this.handleSearchInput(e.target.value);
+                this.updateSuggestions(e.target.value);
             });
             
             // Keyboard navigation and shortcuts
             this.elements.searchInput.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    // Reopen the suggestions if they were dismissed
+                    if (!this.areSuggestionsOpen()) {
+                        this.updateSuggestions(this.elements.searchInput.value);
+                    }
+                    if (this.suggestions.length > 0) {
+                        e.preventDefault(); // Keep the caret in place
+                        this.moveActiveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                    }
+                } else if (e.key === 'Escape') {
+                    if (this.areSuggestionsOpen()) {
+                        // First Escape only closes the suggestions
+                        this.hideSuggestions();
+                        return;
+                    }
                     this.clearSearch();
                     this.elements.searchInput.blur(); // Remove focus after clearing
                 } else if (e.key === 'Enter') {
                     e.preventDefault(); // Prevent form submission
+                    if (this.activeSuggestionIndex !== -1) {
+                        this.selectSuggestion(this.activeSuggestionIndex);
+                        return;
+                    }
                     // Focus stays on input for continued typing
+                    this.hideSuggestions();
+                } else if (e.key === 'Tab') {
+                    this.hideSuggestions();
                 }
             });
             
@@ -482,6 +590,7 @@ class DiccionarioApp {
             
             this.elements.searchInput.addEventListener('blur', () => {
                 this.handleSearchBlur();
+                this.hideSuggestions();
             });
             
             // Prevent zoom on iOS when focusing input
@@ -501,6 +610,43 @@ class DiccionarioApp {
             }
         }
         
+        // Suggestions: keep focus in the input while clicking one
+        if (this.elements.searchSuggestions) {
+            this.elements.searchSuggestions.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+            });
+            
+            this.elements.searchSuggestions.addEventListener('click', (e) => {
+                const option = e.target.closest('.search-suggestion');
+                if (option) {
+                    this.selectSuggestion(Number(option.dataset.index));
+                }
+            });
+        }
+        
+        // No-results suggestions (rendered per search, so use delegation)
+        if (this.elements.noResults) {
+            this.elements.noResults.addEventListener('click', (e) => {
+                const retry = e.target.closest('.no-results-retry');
+                if (retry) {
+                    this.retrySearch(retry.dataset.query, {
+                        fullText: retry.dataset.fullText === 'true',
+                        allAreas: retry.dataset.allAreas === 'true'
+                    });
+                }
+            });
+        }
+        
+        // Full-text toggle re-runs the current search with the extra fields
+        if (this.elements.fullTextToggle) {
+            this.elements.fullTextToggle.addEventListener('change', (e) => {
+                this.fullTextSearch = e.target.checked;
+                if (this.searchQuery.length > 0) {
+                    this.handleSearchInput(this.searchQuery);
+                }
+            });
+        }
+        
         // Enhanced search clear button with touch optimizations
         if (this.elements.searchClear) {
             this.elements.searchClear.addEventListener('click', () => {
@@ -550,6 +696,61 @@ class DiccionarioApp {
             });
         }
         
+        // Categoria chips (rendered per view, so use delegation)
+        if (this.elements.categoriaFilter) {
+            this.elements.categoriaFilter.addEventListener('click', (e) => {
+                const chip = e.target.closest('.categoria-chip');
+                if (chip) {
+                    this.handleCategoriaChipClick(chip.dataset.categoria);
+                }
+            });
+        }
+        
+        // Sort and grouping of the current term list
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.addEventListener('change', (e) => {
+                this.handleSortChange({ sort: e.target.value });
+            });
+        }
+        
+        if (this.elements.groupSelect) {
+            this.elements.groupSelect.addEventListener('change', (e) => {
+                this.handleSortChange({ group: e.target.value });
+            });
+        }
+        
+        // A–Z jump bar (rendered per list, so use delegation)
+        if (this.elements.letterJump) {
+            this.elements.letterJump.addEventListener('click', (e) => {
+                const button = e.target.closest('.letter-jump-button');
+                if (button && !button.disabled) {
+                    this.jumpToLetter(button.dataset.letter);
+                }
+            });
+        }
+        
+        // Long lists grow in batches: by button, or on their own as the
+        // end of the list comes near
+        if (this.elements.loadMoreButton) {
+            this.elements.loadMoreButton.addEventListener('click', () => {
+                this.loadMoreCards();
+            });
+        }
+        if (this.elements.loadMore && 'IntersectionObserver' in window) {
+            this.loadMoreObserver = new IntersectionObserver(entries => {
+                if (entries[entries.length - 1].isIntersecting) {
+                    this.renderMoreCards(this.cardBatchSize);
+                }
+            }, { rootMargin: '0px 0px 600px 0px' });
+        }
+        
+        // Batched lists are shorter than they were, so the browser cannot
+        // restore their scroll position on back/forward; the app saves it in
+        // hideAllSections() and restores it in restorePendingScroll()
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        
         // Enhanced retry button with touch feedback
         if (this.elements.retryButton) {
             this.elements.retryButton.addEventListener('click', () => {
@@ -570,6 +771,154 @@ class DiccionarioApp {
             this.addTouchFeedback(this.elements.backButton);
         }
         
+        // Term detail: back button, copy link button (delegated, content is re-rendered)
+        if (this.elements.termDetailBack) {
+            this.elements.termDetailBack.addEventListener('click', () => {
+                this.handleTermDetailBack();
+            });
+            
+            this.addTouchFeedback(this.elements.termDetailBack);
+        }
+        
+        if (this.elements.termDetail) {
+            this.elements.termDetail.addEventListener('click', (e) => {
+                if (e.target.closest('.term-copy-link')) {
+                    this.copyTermLink();
+                }
+            });
+        }
+        
+        // Flashcard study mode
+        if (this.elements.studyButton) {
+            this.elements.studyButton.addEventListener('click', () => {
+                this.startStudySession(this.currentArea, Array.from(this.selectedCategorias));
+                this.syncRoute();
+            });
+        }
+        
+        if (this.elements.studyBack) {
+            this.elements.studyBack.addEventListener('click', () => {
+                this.handleStudyBack();
+            });
+            
+            this.addTouchFeedback(this.elements.studyBack);
+        }
+        
+        if (this.elements.studyCard) {
+            // Card content is re-rendered for every card, so use delegation
+            this.elements.studyCard.addEventListener('click', (e) => {
+                if (e.target.closest('.flashcard-reveal')) {
+                    this.revealStudyCard();
+                    return;
+                }
+                const gradeButton = e.target.closest('.flashcard-grade');
+                if (gradeButton) {
+                    this.handleStudyGrade(Number(gradeButton.dataset.quality));
+                    return;
+                }
+                if (e.target.closest('.flashcard-exit')) {
+                    this.handleStudyBack();
+                }
+            });
+        }
+        
+        if (this.elements.studySection) {
+            // Number keys 1-4 grade the revealed card
+            this.elements.studySection.addEventListener('keydown', (e) => {
+                const session = this.studySession;
+                const grade = this.studyGrades[Number(e.key) - 1];
+                if (session && session.revealed && grade && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    e.preventDefault();
+                    this.handleStudyGrade(grade.quality);
+                }
+            });
+        }
+        
+        // One card per concept in search results
+        if (this.elements.collapseEquivalents) {
+            this.elements.collapseEquivalents.addEventListener('change', (e) => {
+                this.collapseEquivalents = e.target.checked;
+                if (this.currentView === 'search') {
+                    this.showSearchResultsContent(this.searchResults);
+                }
+            });
+        }
+        
+        // Printable glossary of the terms on screen
+        if (this.elements.printButton) {
+            this.elements.printButton.addEventListener('click', () => {
+                this.printGlossary();
+            });
+        }
+        
+        window.addEventListener('afterprint', () => {
+            this.clearPrintGlossary();
+        });
+        
+        // Export of the terms on screen (CSV, JSON, Anki)
+        if (this.elements.exportMenu) {
+            this.elements.exportMenu.addEventListener('click', (e) => {
+                const option = e.target.closest('.export-option');
+                if (option) {
+                    this.exportTerms(option.dataset.format);
+                    this.elements.exportMenu.open = false;
+                }
+            });
+        }
+        
+        // Quiz: entry point in area views, setup form, answers (delegated)
+        if (this.elements.quizButton) {
+            this.elements.quizButton.addEventListener('click', () => {
+                this.showQuizSetup(this.currentArea);
+                this.syncRoute();
+            });
+        }
+        
+        if (this.elements.quizSetup) {
+            this.elements.quizSetup.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleQuizSetupSubmit();
+            });
+        }
+        
+        if (this.elements.quizBack) {
+            this.elements.quizBack.addEventListener('click', () => {
+                this.handleQuizBack();
+            });
+            
+            this.addTouchFeedback(this.elements.quizBack);
+        }
+        
+        if (this.elements.quizContent) {
+            this.elements.quizContent.addEventListener('click', (e) => {
+                const option = e.target.closest('.quiz-option');
+                if (option) {
+                    this.handleQuizAnswer(Number(option.dataset.index));
+                    return;
+                }
+                if (e.target.closest('.quiz-next')) {
+                    this.handleQuizNext();
+                    return;
+                }
+                if (e.target.closest('.quiz-restart')) {
+                    this.showQuizSetup(this.quizArea);
+                }
+            });
+        }
+        
+        // Favorite stars on term cards and in the term detail (delegated)
+        [this.elements.resultsGrid, this.elements.termDetail].forEach(container => {
+            if (!container) {
+                return;
+            }
+            container.addEventListener('click', (e) => {
+                const toggle = e.target.closest('.term-favorite-toggle');
+                if (toggle) {
+                    this.handleFavoriteToggle(toggle);
+                }
+            });
+        });
+        
         // Theme toggle event listener
         if (this.elements.themeToggle) {
             this.elements.themeToggle.addEventListener('click', () => {
@@ -598,10 +947,12 @@ class DiccionarioApp {
         console.log(`Area clicked: ${area}`);
         this.currentArea = area;
         this.currentView = 'area-filter';
+        this.selectedCategorias.clear();
         
         // Use SearchEngine for consistent area filtering
         const areaTerms = this.searchEngine.filterByArea(area);
         this.showAreaFilterView(area, areaTerms);
+        this.syncRoute();
     }
     
     handleSearchInput(query) {
@@ -614,6 +965,7 @@ class DiccionarioApp {
             return;
         }
         
+        const wasSearching = this.currentView === 'search';
         this.searchQuery = sanitizedQuery.trim();
         
         // Show/hide clear button with smooth transition
@@ -636,7 +988,7 @@ class DiccionarioApp {
             // Clear any pending debounced search
             this.searchEngine.clearDebounce();
             this.updateSearchInputState('empty');
-            this.showAreasView();
+            this.showViewWithoutSearch();
         } else {
             this.currentView = 'search';
             
@@ -649,22 +1001,157 @@ class DiccionarioApp {
             }
             
             // Use debounced search for performance optimization
-            this.searchEngine.debouncedSearch(this.searchQuery, (results) => {
+            this.searchEngine.debouncedSearch(this.searchQuery, (results, queryError) => {
                 // Only update results if we're still in search mode and query matches
                 if (this.currentView === 'search' && this.searchQuery.trim() === sanitizedQuery.trim()) {
-                    this.updateSearchInputState(results.length > 0 ? 'results' : 'no-results', results.length);
-                    this.renderSearchResults(results);
+                    if (queryError) {
+                        this.updateSearchInputState('invalid', 0, queryError.message);
+                        this.showQueryError(queryError);
+                        return;
+                    }
+                    // A search started inside an area view stays within that area
+                    const scopedResults = this.currentArea
+                        ? results.filter(result => result.term.area === this.currentArea)
+                        : results;
+                    const visibleCount = this.searchEngine.filterByCategorias(
+                        scopedResults.map(result => result.term),
+                        this.selectedCategorias
+                    ).length;
+                    this.updateSearchInputState(visibleCount > 0 ? 'results' : 'no-results', visibleCount);
+                    this.renderSearchResults(scopedResults);
                 }
-            });
+            }, { fullText: this.fullTextSearch });
         }
+        
+        // Typing refines the same history entry instead of adding one per keystroke
+        this.syncRoute({ replace: wasSearching && this.currentView === 'search' });
     }
     
     /**
-     * Handle search input focus for better UX
+     * Refresh the autocomplete suggestions for the text in the search box
+     * Suggestions are skipped for very short text and for queries that use
+     * the search syntax (phrases, exclusions, OR, groups or field scopes),
+     * which only make sense as a full search.
+     * @param {string} query - Raw search box text
      */
-    handleSearchFocus() {
-        if (this.elements.searchInput) {
-            this.elements.searchInput.classList.add('search-focused');
+    updateSuggestions(query) {
+        const text = this.validateSearchInput(query);
+        
+        if (!this.isDataLoaded || text.length < 2 || !this.searchEngine.isPlainQuery(text)) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        this.suggestions = this.searchEngine.suggest(text, {
+            limit: this.maxSuggestions,
+            area: this.currentArea
+        });
+        this.activeSuggestionIndex = -1;
+        this.renderSuggestions();
+    }
+    
+    /**
+     * Render this.suggestions into the listbox and open it
+     */
+    renderSuggestions() {
+        const listbox = this.elements.searchSuggestions;
+        if (!listbox || !this.elements.searchInput) return;
+        
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        listbox.innerHTML = this.suggestions.map(({ term, field, ranges }, index) => {
+            const otherName = field === 'termino_formal' ? term.dominicanismo : term.termino_formal;
+            return `
+                <li class="search-suggestion" id="searchSuggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="search-suggestion-text">${this.renderHighlightedText(term[field], ranges)}</span>
+                    <span class="search-suggestion-meta">${this.escapeHtml(otherName)} · ${this.escapeHtml(this.getAreaDisplayName(term.area))}</span>
+                </li>
+            `;
+        }).join('');
+        
+        listbox.hidden = false;
+        this.elements.searchInput.setAttribute('aria-expanded', 'true');
+        this.elements.searchInput.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Close the suggestions listbox
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestionIndex = -1;
+        
+        if (this.elements.searchSuggestions) {
+            this.elements.searchSuggestions.hidden = true;
+            this.elements.searchSuggestions.innerHTML = '';
+        }
+        
+        if (this.elements.searchInput) {
+            this.elements.searchInput.setAttribute('aria-expanded', 'false');
+            this.elements.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    /**
+     * Check whether the suggestions listbox is showing
+     * @returns {boolean} True if suggestions are open
+     */
+    areSuggestionsOpen() {
+        return Boolean(this.elements.searchSuggestions) && !this.elements.searchSuggestions.hidden;
+    }
+    
+    /**
+     * Move the highlighted suggestion up or down, wrapping at both ends
+     * Focus stays in the input; aria-activedescendant points screen readers
+     * at the highlighted option.
+     * @param {number} step - 1 for the next suggestion, -1 for the previous one
+     */
+    moveActiveSuggestion(step) {
+        const count = this.suggestions.length;
+        if (count === 0) return;
+        
+        const nextIndex = this.activeSuggestionIndex === -1
+            ? (step > 0 ? 0 : count - 1)
+            : (this.activeSuggestionIndex + step + count) % count;
+        this.activeSuggestionIndex = nextIndex;
+        
+        this.elements.searchSuggestions.querySelectorAll('.search-suggestion').forEach((option, index) => {
+            const isActive = index === nextIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive.toString());
+            if (isActive) {
+                this.elements.searchInput.setAttribute('aria-activedescendant', option.id);
+                if (typeof option.scrollIntoView === 'function') {
+                    option.scrollIntoView({ block: 'nearest' });
+                }
+            }
+        });
+    }
+    
+    /**
+     * Jump to the term behind a suggestion
+     * The search that was typed stays in history, so going back from the
+     * term returns to its results.
+     * @param {number} index - Position in this.suggestions
+     */
+    selectSuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+        
+        this.resetSearchInput();
+        this.showTermView(suggestion.term.slug);
+        this.syncRoute();
+    }
+    
+    /**
+     * Handle search input focus for better UX
+     */
+    handleSearchFocus() {
+        if (this.elements.searchInput) {
+            this.elements.searchInput.classList.add('search-focused');
         }
         
         // If there's a current search query, ensure results are visible
@@ -684,14 +1171,15 @@ class DiccionarioApp {
     
     /**
      * Update search input visual state based on search status
-     * @param {string} state - Current search state: 'empty', 'searching', 'results', 'no-results', 'loading'
+     * @param {string} state - Current search state: 'empty', 'searching', 'results', 'no-results', 'loading', 'invalid'
      * @param {number} resultCount - Number of results (optional)
+     * @param {string} detail - Extra message for the 'invalid' state (optional)
      */
-    updateSearchInputState(state, resultCount = 0) {
+    updateSearchInputState(state, resultCount = 0, detail = '') {
         if (!this.elements.searchInput) return;
         
         // Remove all state classes
-        const stateClasses = ['search-empty', 'search-searching', 'search-results', 'search-no-results', 'search-loading'];
+        const stateClasses = ['search-empty', 'search-searching', 'search-results', 'search-no-results', 'search-loading', 'search-invalid'];
         this.elements.searchInput.classList.remove(...stateClasses);
         
         // Add current state class and announce to screen readers
@@ -717,7 +1205,13 @@ class DiccionarioApp {
                 this.elements.searchInput.classList.add('search-loading');
                 this.announceSearchStatus('Cargando resultados de búsqueda...');
                 break;
+            case 'invalid':
+                this.elements.searchInput.classList.add('search-invalid');
+                this.announceSearchStatus(`Búsqueda no válida. ${detail}`);
+                break;
         }
+        
+        this.elements.searchInput.setAttribute('aria-invalid', (state === 'invalid').toString());
     }
     
     /**
@@ -772,6 +1266,7 @@ class DiccionarioApp {
         if (this.elements.resultsCount) {
             this.elements.resultsCount.textContent = '';
         }
+        this.clearCardList();
         
         // Hide no results message during loading
         if (this.elements.noResults) {
@@ -933,6 +1428,9 @@ class DiccionarioApp {
             }
         }
         
+        // The header wraps differently at each width
+        this.updateHeaderOffset();
+        
         // Log responsive state for debugging
         console.log(`Responsive resize: ${screenWidth}px width, mobile: ${this.isMobileDevice()}`);
     }
@@ -960,6 +1458,22 @@ class DiccionarioApp {
     }
     
     clearSearch() {
+        this.resetSearchInput();
+        
+        // Update search input state
+        this.updateSearchInputState('empty');
+        
+        // Return to the area the search started from, or to the areas view
+        this.showViewWithoutSearch();
+        this.syncRoute();
+        
+        console.log('Search cleared');
+    }
+    
+    /**
+     * Empty the search input and cancel pending searches without changing view
+     */
+    resetSearchInput() {
         // Clear search input value
         if (this.elements.searchInput) {
             this.elements.searchInput.value = '';
@@ -977,228 +1491,1764 @@ class DiccionarioApp {
         // Clear any pending debounced search
         this.searchEngine.clearDebounce();
         this.searchQuery = '';
-        
-        // Update search input state
-        this.updateSearchInputState('empty');
-        
-        // Return to areas view with smooth transition
-        this.showAreasView();
-        
-        console.log('Search cleared, returning to areas view');
+        this.hideSuggestions();
+    }
+    
+    /**
+     * Show the view a search was started from: the current area, or the areas grid
+     */
+    showViewWithoutSearch() {
+        if (this.currentArea) {
+            this.currentView = 'area-filter';
+            this.showAreaFilterView(this.currentArea, this.searchEngine.filterByArea(this.currentArea));
+        } else {
+            this.showAreasView();
+        }
     }
     
     handleBackButton() {
-        // Clear search if there's an active search
-        this.clearSearch();
-        // Always return to areas view
-        this.showAreasView();
+        const route = { name: 'areas' };
+        
+        this.updateSearchInputState('empty');
+        // Always return to areas view; applyRoute() renders it once, clears
+        // any search and brings the grid back scrolled as the student left it
+        this.router.navigate(route);
+        this.applyRoute(route, { restored: true });
     }
     
     /**
-     * Show areas view with smooth transition
+     * Show the view described by a route (from the URL or browser history)
+     * Unknown areas, empty searches and malformed hashes fall back to the
+     * areas grid.
+     * @param {Object} route - Route object from Router.parse()
+     * @param {Object} change - Optional { restored } from Router; restored
+     *   views get their scroll position back
      */
-    showAreasView() {
-        this.currentView = 'areas';
-        this.currentArea = null;
-        
-        this.hideAllSections();
-        
-        // Show areas section with smooth transition
-        if (this.elements.areasSection) {
-            this.elements.areasSection.style.display = 'block';
-            this.elements.areasSection.style.opacity = '0';
-            this.elements.areasSection.style.transform = 'translateY(10px)';
-            
-            // Trigger smooth transition
-            requestAnimationFrame(() => {
-                this.elements.areasSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
-                this.elements.areasSection.style.opacity = '1';
-                this.elements.areasSection.style.transform = 'translateY(0)';
-            });
+    applyRoute(route, { restored = false } = {}) {
+        if (!this.isDataLoaded) {
+            return;
         }
         
-        // Hide back button when showing areas
-        if (this.elements.backButton) {
-            this.elements.backButton.style.display = 'none';
+        this.pendingScroll = null;
+        if (restored) {
+            this.setPendingScroll(window.location.hash);
         }
+        this.showRoute(route);
+        this.shownHash = window.location.hash;
         
-        console.log('Showing areas view');
+        // Search results arrive after the debounce; renderTermCards()
+        // restores their position
+        if (this.currentView !== 'search') {
+            this.restorePendingScroll();
+        }
     }
     
     /**
-     * Show area filter view with smooth transition
-     * @param {string} area - Academic area name
-     * @param {Array} terms - Array of terms for the area
+     * Switch to the view of a route, see applyRoute()
+     * @param {Object} route - Route object from Router.parse()
      */
-    showAreaFilterView(area, terms = []) {
-        this.hideAllSections();
-        
-        // Show results section with smooth transition
-        if (this.elements.resultsSection) {
-            this.elements.resultsSection.style.display = 'block';
-            this.elements.resultsSection.style.opacity = '0';
-            this.elements.resultsSection.style.transform = 'translateY(10px)';
-            
-            // Trigger smooth transition
-            requestAnimationFrame(() => {
-                this.elements.resultsSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
-                this.elements.resultsSection.style.opacity = '1';
-                this.elements.resultsSection.style.transform = 'translateY(0)';
-            });
+    showRoute(route) {
+        switch (route.name) {
+            case 'area':
+                if (this.isKnownArea(route.area)) {
+                    this.resetSearchInput();
+                    this.handleAreaClick(route.area);
+                    return;
+                }
+                break;
+            case 'search':
+                if (route.query.trim().length > 0) {
+                    this.currentArea = this.isKnownArea(route.area) ? route.area : null;
+                    if (this.elements.searchInput) {
+                        this.elements.searchInput.value = route.query;
+                    }
+                    this.handleSearchInput(route.query);
+                    return;
+                }
+                break;
+            case 'term':
+                this.resetSearchInput();
+                this.showTermView(route.slug);
+                return;
+            case 'favorites':
+                this.resetSearchInput();
+                this.showFavoritesView();
+                return;
+            case 'study':
+                if (route.area === null || this.isKnownArea(route.area)) {
+                    this.resetSearchInput();
+                    this.startStudySession(route.area, route.categorias);
+                    return;
+                }
+                break;
+            case 'quiz':
+                if (route.area === null || this.isKnownArea(route.area)) {
+                    this.resetSearchInput();
+                    this.showQuizSetup(route.area);
+                    return;
+                }
+                break;
         }
         
-        // Show back button for area filter view
-        if (this.elements.backButton) {
-            this.elements.backButton.style.display = 'inline-flex';
+        this.currentArea = null;
+        this.resetSearchInput();
+        this.showAreasView();
+        this.syncRoute({ replace: true });
+    }
+    
+    /**
+     * Get the route that describes the current view
+     * @returns {Object} Route object (see Router.parse())
+     */
+    getRouteForCurrentView() {
+        switch (this.currentView) {
+            case 'search':
+                return { name: 'search', query: this.searchQuery, area: this.currentArea };
+            case 'area-filter':
+                return { name: 'area', area: this.currentArea };
+            case 'term':
+                return { name: 'term', slug: this.currentTermSlug };
+            case 'favorites':
+                return { name: 'favorites' };
+            case 'study':
+                return { name: 'study', area: this.studySession.area, categorias: this.studySession.categorias };
+            case 'quiz':
+                return { name: 'quiz', area: this.quizArea };
+            default:
+                return { name: 'areas' };
         }
-        
-        // Update results title
-        if (this.elements.resultsTitle) {
-            const areaNames = {
-                'salud': 'Salud',
-                'informatica': 'Informática',
-                'artes': 'Artes',
-                'hosteleria': 'Turismo',
-                'construccion': 'Construcción',
-                'industrial': 'Industrial',
-                'electromecanica': 'Electromecánica'
-            };
-            this.elements.resultsTitle.textContent = `Términos de ${areaNames[area] || area}`;
+    }
+    
+    /**
+     * Update the URL to match the current view
+     * @param {Object} options - Passed to Router.navigate()
+     */
+    syncRoute(options = {}) {
+        if (!this.isDataLoaded || this.currentView === 'loading' || this.currentView === 'error') {
+            return;
         }
+        this.router.navigate(this.getRouteForCurrentView(), options);
+        this.shownHash = window.location.hash;
+    }
+    
+    /**
+     * Check whether an area id belongs to a configured academic area
+     * @param {string} area - Area id
+     * @returns {boolean} True if the area exists
+     */
+    isKnownArea(area) {
+        return typeof area === 'string' && this.dataLoader.academicAreas.includes(area);
+    }
+    
+    /**
+     * Show the detail view for a single term, addressed by its slug
+     * @param {string} slug - Term slug (see DataLoader.assignTermSlugs())
+     */
+    showTermView(slug) {
+        const term = this.dataLoader.getTermBySlug(slug);
         
-        // Update results count with proper pluralization
-        if (this.elements.resultsCount) {
-            const termText = terms.length === 1 ? 'término' : 'términos';
-            const foundText = terms.length === 1 ? 'encontrado' : 'encontrados';
-            this.elements.resultsCount.textContent = `${terms.length} ${termText} ${foundText}`;
+        this.currentView = 'term';
+        this.currentTermSlug = term ? term.slug : slug;
+        this.currentArea = null;
+        this.hideAllSections();
+        
+        if (this.elements.termDetailSection) {
+            this.elements.termDetailSection.style.display = 'block';
         }
         
-        // Show terms or no results message
-        if (this.elements.resultsGrid) {
-            if (terms.length === 0) {
-                const areaNames = {
-                    'salud': 'Salud',
-                    'informatica': 'Informática',
-                    'artes': 'Artes',
-                    'hosteleria': 'Turismo',
-                    'construccion': 'Construcción',
-                    'industrial': 'Industrial',
-                    'electromecanica': 'Electromecánica'
-                };
-                this.elements.resultsGrid.innerHTML = `
+        if (this.elements.termDetail) {
+            this.elements.termDetail.innerHTML = term
+                ? this.renderTermDetail(term)
+                : `
                     <div class="placeholder-message">
-                        <p>No se encontraron términos para el área de ${areaNames[area] || area}.</p>
+                        <h2 class="term-detail-title" id="termDetailTitle" tabindex="-1">Término no encontrado</h2>
+                        <p>El enlace no corresponde a ningún término del diccionario.</p>
                     </div>
                 `;
-            } else {
-                // Render area-specific terms using term cards
-                this.renderTermCards(terms);
+            
+            // Move focus to the heading so screen readers announce the new view
+            const title = this.elements.termDetail.querySelector('#termDetailTitle');
+            if (title) {
+                title.focus();
             }
         }
         
-        console.log(`Showing area filter view for: ${area} with ${terms.length} terms`);
+        // Old unqualified links resolve to a term; show its canonical slug
+        if (term && term.slug !== slug) {
+            this.syncRoute({ replace: true });
+        }
+        
+        console.log(`Showing term detail view for: ${slug}`);
     }
     
     /**
-     * Render search results view with filtered terms
-     * @param {Array} results - Array of filtered term objects
+     * Build the markup for the term detail view
+     * @param {Object} term - Term object with slug and area
+     * @returns {string} HTML content for #termDetail
      */
-    renderSearchResults(results) {
-        // Switch to search results view
-        this.currentView = 'search';
-        this.hideAllSections();
-        
-        // Show results section with smooth transition
-        if (this.elements.resultsSection) {
-            this.elements.resultsSection.style.display = 'block';
-            this.elements.resultsSection.style.opacity = '0';
-            this.elements.resultsSection.style.transform = 'translateY(10px)';
-            
-            // Trigger smooth transition
-            requestAnimationFrame(() => {
-                this.elements.resultsSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
-                this.elements.resultsSection.style.opacity = '1';
-                this.elements.resultsSection.style.transform = 'translateY(0)';
-            });
-        }
-        
-        // Hide back button for search results (search can be cleared instead)
-        if (this.elements.backButton) {
-            this.elements.backButton.style.display = 'none';
-        }
-        
-        // Update results title
-        if (this.elements.resultsTitle) {
-            this.elements.resultsTitle.textContent = 'Resultados de búsqueda';
+    renderTermDetail(term) {
+        const categoria = this.searchEngine.getTermCategoria(term);
+        const relatedTerms = this.terms
+            .filter(other => other !== term &&
+                other.area === term.area &&
+                this.searchEngine.getTermCategoria(other) === categoria)
+            .sort((a, b) => a.termino_formal.localeCompare(b.termino_formal, 'es'));
+        
+        const definicionHTML = term.definicion
+            ? `
+                <section class="term-definition">
+                    <h3 class="term-section-title">Definición</h3>
+                    <p class="term-definition-text">${this.escapeHtml(term.definicion)}</p>
+                </section>
+            `
+            : '';
+        
+        const categoriaHTML = categoria
+            ? `<p class="term-detail-categoria">Categoría: <span>${this.escapeHtml(categoria)}</span></p>`
+            : '';
+        
+        const relatedHTML = relatedTerms.length > 0
+            ? `
+                <section class="term-related">
+                    <h3 class="term-section-title">Otros términos en ${this.escapeHtml(categoria || this.getAreaDisplayName(term.area))}</h3>
+                    <ul class="term-related-list">
+                        ${relatedTerms.map(other => `
+                            <li>
+                                <a class="term-related-link" href="${this.router.build({ name: 'term', slug: other.slug })}">
+                                    ${this.escapeHtml(other.termino_formal)}
+                                    <span class="term-related-dominicanismo">(${this.escapeHtml(other.dominicanismo)})</span>
+                                </a>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </section>
+            `
+            : '';
+        
+        return `
+            <a class="term-area-badge" data-area="${this.escapeHtml(term.area)}" href="${this.router.build({ name: 'area', area: term.area })}">${this.escapeHtml(this.getAreaDisplayName(term.area))}</a>
+            <div class="term-detail-header">
+                <h2 class="term-detail-title" id="termDetailTitle" tabindex="-1">${this.escapeHtml(term.termino_formal)}</h2>
+                <p class="term-detail-dominicanismo">${this.escapeHtml(term.dominicanismo)}</p>
+                ${categoriaHTML}
+                ${this.renderAlsoIn(term)}
+            </div>
+            <div class="term-detail-body">
+                ${definicionHTML}
+                <section class="term-example">
+                    <h3 class="term-section-title">Ejemplo de uso</h3>
+                    <p class="term-example-text"><em>"${this.escapeHtml(term.ejemplo_uso)}"</em></p>
+                </section>
+                ${this.renderTermReferences(term)}
+                <div class="term-detail-actions">
+                    ${this.renderFavoriteToggle(term, true)}
+                    <button type="button" class="term-copy-link">🔗 Copiar enlace</button>
+                    <span class="term-copy-status" role="status" aria-live="polite"></span>
+                </div>
+            </div>
+            ${relatedHTML}
+        `;
+    }
+    
+    /**
+     * Go back from the term detail view
+     * Uses browser history when the previous view belongs to the app, so the
+     * student lands where they were; otherwise opens the term's area.
+     */
+    handleTermDetailBack() {
+        if (this.router.canGoBack()) {
+            window.history.back();
+            return;
         }
         
-        // Handle empty results
-        if (results.length === 0) {
-            this.showNoResultsMessage();
+        const term = this.dataLoader.getTermBySlug(this.currentTermSlug);
+        if (term) {
+            this.handleAreaClick(term.area);
         } else {
-            this.showSearchResultsContent(results);
+            this.showAreasView();
+            this.syncRoute();
         }
-        
-        console.log(`Rendered search results: ${results.length} terms found`);
     }
-
+    
     /**
-     * Show "no results found" message for empty search results
+     * Copy the link of the term shown in the detail view to the clipboard
      */
-    showNoResultsMessage() {
-        // Show no results message
-        if (this.elements.noResults) {
-            this.elements.noResults.style.display = 'block';
-            this.elements.noResults.style.opacity = '0';
-            this.elements.noResults.style.transform = 'translateY(10px)';
-            
-            // Smooth transition for no results message
-            requestAnimationFrame(() => {
-                this.elements.noResults.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
-                this.elements.noResults.style.opacity = '1';
-                this.elements.noResults.style.transform = 'translateY(0)';
-            });
-        }
+    async copyTermLink() {
+        const url = `${window.location.origin}${window.location.pathname}${this.router.build({ name: 'term', slug: this.currentTermSlug })}`;
+        let copied = false;
         
-        // Clear results grid
-        if (this.elements.resultsGrid) {
-            this.elements.resultsGrid.innerHTML = '';
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(url);
+                copied = true;
+            }
+        } catch (error) {
+            console.warn('Clipboard API failed, falling back to execCommand:', error);
+        }
+        
+        // Fallback for browsers without the async clipboard API (or without permission)
+        if (!copied) {
+            const textarea = document.createElement('textarea');
+            textarea.value = url;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'absolute';
+            textarea.style.left = '-9999px';
+            document.body.appendChild(textarea);
+            textarea.select();
+            try {
+                copied = document.execCommand('copy');
+            } catch (error) {
+                copied = false;
+            }
+            document.body.removeChild(textarea);
         }
         
-        // Update results count
-        if (this.elements.resultsCount) {
-            this.elements.resultsCount.textContent = 'No se encontraron resultados';
+        const status = this.elements.termDetail && this.elements.termDetail.querySelector('.term-copy-status');
+        if (status) {
+            status.textContent = copied ? 'Enlace copiado' : `No se pudo copiar. Enlace: ${url}`;
         }
     }
-
+    
     /**
-     * Show search results content with term cards
-     * @param {Array} results - Array of term objects to display
+     * Get the terms of a flashcard deck
+     * @param {string|null} area - Area id, or null for the whole dictionary
+     * @param {Array<string>} categorias - Categorias to keep (all if empty)
+     * @returns {Array} Terms with slugs
      */
-    showSearchResultsContent(results) {
-        // Hide no results message
-        if (this.elements.noResults) {
-            this.elements.noResults.style.display = 'none';
-        }
-        
-        // Render search results using term cards
-        this.renderTermCards(results);
-        
-        // Update results count with proper pluralization
-        if (this.elements.resultsCount) {
-            const termText = results.length === 1 ? 'término' : 'términos';
-            const foundText = results.length === 1 ? 'encontrado' : 'encontrados';
-            this.elements.resultsCount.textContent = `${results.length} ${termText} ${foundText}`;
+    getStudyDeck(area, categorias = []) {
+        let terms = area ? this.searchEngine.filterByArea(area) : this.terms;
+        if (categorias.length > 0) {
+            terms = this.searchEngine.filterByCategorias(terms, new Set(categorias));
         }
-    }
-
-    showSearchResults(results) {
-        // Use the new renderSearchResults function for consistency
-        this.renderSearchResults(results);
+        return terms.filter(term => term.slug);
     }
     
     /**
-     * Show loading state with optional message
+     * Show the buttons in results-header that apply to the current view
+     * Printing and exporting work on any list of terms on screen; studying and quizzes
+     * start from area views, and the study deck follows the selected
+     * categoria chips.
+     */
+    updateResultsActions() {
+        const showsTermList = ['area-filter', 'search', 'favorites'].includes(this.currentView);
+        const hasVisibleTerms = showsTermList && this.getVisibleTerms().length > 0;
+        if (this.elements.printButton) {
+            this.elements.printButton.hidden = !hasVisibleTerms;
+        }
+        if (this.elements.exportMenu) {
+            this.elements.exportMenu.hidden = !hasVisibleTerms;
+            this.elements.exportMenu.open = false;
+        }
+        
+        // Sort and grouping apply to any list of terms
+        if (this.elements.resultsSort) {
+            const listView = this.getListView();
+            this.elements.resultsSort.hidden = !hasVisibleTerms;
+            if (hasVisibleTerms) {
+                this.renderSortControls(listView);
+            }
+        }
+        if (!hasVisibleTerms) {
+            this.clearCardList();
+        }
+        
+        // Collapsing only matters when the results repeat a concept
+        if (this.elements.collapseToggle) {
+            this.elements.collapseToggle.hidden = this.currentView !== 'search' ||
+                this.collapseEquivalentResults(this.searchResults).length === this.searchResults.length;
+        }
+        
+        const inAreaView = this.currentView === 'area-filter' && Boolean(this.currentArea);
+        if (this.elements.quizButton) {
+            this.elements.quizButton.hidden = !inAreaView;
+        }
+        
+        // "Estudiar" shows the deck's count for today
+        const button = this.elements.studyButton;
+        if (!button) {
+            return;
+        }
+        
+        if (!inAreaView) {
+            button.hidden = true;
+            return;
+        }
+        
+        const deck = this.getStudyDeck(this.currentArea, Array.from(this.selectedCategorias));
+        const dueCount = this.reviewScheduler.getDueCount(deck);
+        const scope = this.selectedCategorias.size > 0
+            ? 'las categorías seleccionadas'
+            : this.getAreaDisplayName(this.currentArea);
+        
+        button.hidden = false;
+        button.textContent = `📚 Estudiar · ${dueCount} para repasar hoy`;
+        button.setAttribute('aria-label', `Estudiar con tarjetas los términos de ${scope}. ${dueCount} para repasar hoy.`);
+    }
+    
+    /**
+     * Show how many terms are due today across the dictionary on the areas view
+     */
+    updateStudySummary() {
+        const summary = this.elements.studySummary;
+        if (!summary) {
+            return;
+        }
+        
+        const dueCount = this.isDataLoaded ? this.reviewScheduler.getDueCount(this.terms) : 0;
+        summary.hidden = dueCount === 0;
+        summary.innerHTML = dueCount === 0 ? '' : `
+            <a class="study-summary-link" href="${this.router.build({ name: 'study', area: null })}">
+                📚 ${dueCount} ${dueCount === 1 ? 'término' : 'términos'} para repasar hoy
+            </a>
+        `;
+    }
+    
+    /**
+     * Start a flashcard session and show the study view
+     * Area decks mix due terms with new ones; without an area only the terms
+     * due across the dictionary are reviewed.
+     * @param {string|null} area - Area id, or null for today's reviews
+     * @param {Array<string>} categorias - Categorias to study (all if empty)
+     */
+    startStudySession(area, categorias = []) {
+        const deck = this.getStudyDeck(area, categorias);
+        const queue = this.reviewScheduler.buildQueue(deck, { newLimit: area ? 20 : 0 });
+        
+        this.studySession = {
+            area,
+            categorias,
+            queue,
+            total: queue.length,
+            graded: new Set(), // Slugs whose schedule was updated in this session
+            revealed: false
+        };
+        
+        this.currentView = 'study';
+        this.currentArea = null;
+        this.currentTermSlug = null;
+        this.hideAllSections();
+        
+        if (this.elements.studySection) {
+            this.elements.studySection.style.display = 'block';
+        }
+        
+        if (this.elements.studyTitle) {
+            const categoriaNames = categorias.map(categoria => categoria || 'Sin categoría').join(', ');
+            let title = 'Repaso del día';
+            if (area) {
+                title = `Estudiar ${this.getAreaDisplayName(area)}`;
+                if (categoriaNames) {
+                    title += `: ${categoriaNames}`;
+                }
+            }
+            this.elements.studyTitle.textContent = title;
+            this.elements.studyTitle.focus();
+        }
+        
+        this.renderStudyCard();
+        
+        console.log(`Study session started with ${queue.length} cards (area: ${area || 'all'})`);
+    }
+    
+    /**
+     * Render the current flashcard, or the end of session summary
+     */
+    renderStudyCard() {
+        const session = this.studySession;
+        const container = this.elements.studyCard;
+        if (!session || !container) {
+            return;
+        }
+        
+        if (this.elements.studyProgress) {
+            this.elements.studyProgress.textContent = session.total > 0
+                ? `${session.graded.size} de ${session.total} tarjetas repasadas`
+                : '';
+        }
+        
+        if (session.queue.length === 0) {
+            const message = session.total === 0
+                ? 'No hay tarjetas para repasar hoy en este grupo. ¡Vuelve mañana!'
+                : `¡Sesión terminada! Repasaste ${session.total} ${session.total === 1 ? 'tarjeta' : 'tarjetas'}.`;
+            container.innerHTML = `
+                <div class="flashcard flashcard-done">
+                    <p>${message}</p>
+                    <button type="button" class="btn btn-primary flashcard-exit">Volver</button>
+                </div>
+            `;
+            return;
+        }
+        
+        const term = session.queue[0];
+        const categoria = this.searchEngine.getTermCategoria(term);
+        const categoriaHTML = categoria
+            ? `<p class="flashcard-categoria">${this.escapeHtml(categoria)}</p>`
+            : '';
+        
+        let answerHTML = `
+            <button type="button" class="btn btn-primary flashcard-reveal">Mostrar respuesta</button>
+        `;
+        
+        if (session.revealed) {
+            const state = this.reviewScheduler.getState(term.slug);
+            // Cards repeated in the same session no longer change the schedule
+            const showIntervals = !session.graded.has(term.slug);
+            const gradesHTML = this.studyGrades.map((grade, index) => {
+                const interval = this.reviewScheduler.schedule(state, grade.quality).interval;
+                const intervalHTML = showIntervals
+                    ? `<span class="flashcard-grade-interval">${interval} ${interval === 1 ? 'día' : 'días'}</span>`
+                    : '';
+                return `
+                    <button type="button" class="flashcard-grade" data-quality="${grade.quality}" aria-keyshortcuts="${index + 1}">
+                        ${grade.label}
+                        ${intervalHTML}
+                    </button>
+                `;
+            }).join('');
+            
+            const definicionHTML = term.definicion
+                ? `<p class="flashcard-definicion">${this.escapeHtml(term.definicion)}</p>`
+                : '';
+            
+            answerHTML = `
+                <div class="flashcard-answer">
+                    <p class="flashcard-dominicanismo">${this.escapeHtml(term.dominicanismo)}</p>
+                    ${definicionHTML}
+                    <p class="flashcard-ejemplo"><em>"${this.escapeHtml(term.ejemplo_uso)}"</em></p>
+                </div>
+                <div class="flashcard-grades" role="group" aria-label="¿Qué tan bien lo recordaste?">
+                    ${gradesHTML}
+                </div>
+            `;
+        }
+        
+        container.innerHTML = `
+            <div class="flashcard">
+                <span class="term-area-badge" data-area="${this.escapeHtml(term.area)}">${this.escapeHtml(this.getAreaDisplayName(term.area))}</span>
+                <div class="flashcard-body">
+                    ${categoriaHTML}
+                    <h3 class="flashcard-term">${this.escapeHtml(term.termino_formal)}</h3>
+                    ${answerHTML}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the answer of the current flashcard
+     */
+    revealStudyCard() {
+        if (!this.studySession) {
+            return;
+        }
+        
+        this.studySession.revealed = true;
+        this.renderStudyCard();
+        
+        const firstGrade = this.elements.studyCard.querySelector('.flashcard-grade');
+        if (firstGrade) {
+            firstGrade.focus();
+        }
+    }
+    
+    /**
+     * Grade the current flashcard and move to the next one
+     * Following SM-2, only the first grade of a session updates the schedule,
+     * and cards graded below 4 come back at the end of the session.
+     * @param {number} quality - Recall grade from 0 to 5
+     */
+    handleStudyGrade(quality) {
+        const session = this.studySession;
+        if (!session || session.queue.length === 0) {
+            return;
+        }
+        
+        const term = session.queue.shift();
+        if (!session.graded.has(term.slug)) {
+            this.reviewScheduler.review(term.slug, quality);
+            session.graded.add(term.slug);
+        }
+        
+        if (quality < 4) {
+            session.queue.push(term);
+        }
+        
+        session.revealed = false;
+        this.renderStudyCard();
+        
+        const nextFocus = this.elements.studyCard.querySelector('.flashcard-reveal, .flashcard-exit');
+        if (nextFocus) {
+            nextFocus.focus();
+        }
+    }
+    
+    /**
+     * Leave the study view, back to where the session was started
+     */
+    handleStudyBack() {
+        if (this.router.canGoBack()) {
+            window.history.back();
+            return;
+        }
+        
+        const area = this.studySession && this.studySession.area;
+        if (area) {
+            this.handleAreaClick(area);
+        } else {
+            this.showAreasView();
+            this.syncRoute();
+        }
+    }
+    
+    /**
+     * Show the quiz setup form
+     * @param {string|null} area - Area to preselect, or null for all areas
+     */
+    showQuizSetup(area = null) {
+        this.currentView = 'quiz';
+        this.currentArea = null;
+        this.currentTermSlug = null;
+        this.quiz = null;
+        this.quizArea = area;
+        this.hideAllSections();
+        
+        if (this.elements.quizSection) {
+            this.elements.quizSection.style.display = 'block';
+        }
+        
+        if (this.elements.quizArea) {
+            const areaOptions = this.dataLoader.academicAreas.map(id => `
+                <option value="${this.escapeHtml(id)}">${this.escapeHtml(this.getAreaDisplayName(id))}</option>
+            `).join('');
+            this.elements.quizArea.innerHTML = `<option value="">Todas las áreas</option>${areaOptions}`;
+            this.elements.quizArea.value = area || '';
+        }
+        
+        if (this.elements.quizSetup) {
+            this.elements.quizSetup.hidden = false;
+        }
+        
+        if (this.elements.quizContent) {
+            this.elements.quizContent.innerHTML = '';
+        }
+        
+        if (this.elements.quizProgress) {
+            this.elements.quizProgress.textContent = 'Elige el área, el número de preguntas y el tipo de pregunta.';
+        }
+        
+        if (this.elements.quizTitle) {
+            this.elements.quizTitle.textContent = 'Quiz';
+            this.elements.quizTitle.focus();
+        }
+        
+        console.log(`Showing quiz setup (area: ${area || 'all'})`);
+    }
+    
+    /**
+     * Read the quiz setup form and start the quiz
+     */
+    handleQuizSetupSubmit() {
+        const form = this.elements.quizSetup;
+        const area = this.elements.quizArea ? this.elements.quizArea.value || null : null;
+        const count = this.elements.quizCount ? Number(this.elements.quizCount.value) : 10;
+        const directionInput = form ? form.querySelector('input[name="quizDirection"]:checked') : null;
+        const direction = directionInput ? directionInput.value : 'formal';
+        
+        this.startQuiz(area, count, direction);
+    }
+    
+    /**
+     * Generate the questions and show the first one
+     * @param {string|null} area - Area id, or null for all areas
+     * @param {number} count - Number of questions
+     * @param {string} direction - 'formal', 'dominicanismo' or 'mixto'
+     */
+    startQuiz(area, count, direction) {
+        const terms = area ? this.searchEngine.filterByArea(area) : this.terms;
+        const generator = new QuizGenerator(this.searchEngine);
+        const questions = generator.generate(terms, { count, direction });
+        
+        // Keep the area in the URL so the setup can be reopened with it
+        this.quizArea = area;
+        this.syncRoute({ replace: true });
+        
+        this.quiz = {
+            area,
+            questions,
+            index: 0,
+            answers: [], // Chosen option index per question
+            answered: false
+        };
+        
+        if (this.elements.quizSetup) {
+            this.elements.quizSetup.hidden = true;
+        }
+        
+        if (this.elements.quizTitle) {
+            this.elements.quizTitle.textContent = area ? `Quiz de ${this.getAreaDisplayName(area)}` : 'Quiz de todas las áreas';
+        }
+        
+        if (questions.length === 0) {
+            this.elements.quizContent.innerHTML = `
+                <div class="placeholder-message">
+                    <p>No hay suficientes términos para crear preguntas en esta área.</p>
+                    <button type="button" class="btn btn-primary quiz-restart">Volver a la configuración</button>
+                </div>
+            `;
+            return;
+        }
+        
+        this.renderQuizQuestion();
+        console.log(`Quiz started with ${questions.length} questions (area: ${area || 'all'}, direction: ${direction})`);
+    }
+    
+    /**
+     * Render the current quiz question
+     */
+    renderQuizQuestion() {
+        const quiz = this.quiz;
+        const question = quiz.questions[quiz.index];
+        
+        if (this.elements.quizProgress) {
+            this.elements.quizProgress.textContent = `Pregunta ${quiz.index + 1} de ${quiz.questions.length}`;
+        }
+        
+        const optionsHTML = question.options.map((option, index) => `
+            <button type="button" class="quiz-option" data-index="${index}">
+                <span class="quiz-option-letter" aria-hidden="true">${'ABCD'[index]}</span>
+                ${this.escapeHtml(option)}
+            </button>
+        `).join('');
+        
+        this.elements.quizContent.innerHTML = `
+            <div class="quiz-question">
+                <h3 class="quiz-prompt" id="quizPrompt" tabindex="-1">${this.escapeHtml(question.prompt)}</h3>
+                <div class="quiz-options" role="group" aria-labelledby="quizPrompt">
+                    ${optionsHTML}
+                </div>
+                <div class="quiz-feedback" role="status" aria-live="polite"></div>
+            </div>
+        `;
+        
+        quiz.answered = false;
+        const prompt = this.elements.quizContent.querySelector('#quizPrompt');
+        if (prompt) {
+            prompt.focus();
+        }
+    }
+    
+    /**
+     * Record the chosen option and show whether it was right
+     * @param {number} optionIndex - Index of the chosen option
+     */
+    handleQuizAnswer(optionIndex) {
+        const quiz = this.quiz;
+        if (!quiz || quiz.answered) {
+            return;
+        }
+        
+        const question = quiz.questions[quiz.index];
+        const isCorrect = optionIndex === question.answerIndex;
+        quiz.answers.push(optionIndex);
+        quiz.answered = true;
+        
+        this.elements.quizContent.querySelectorAll('.quiz-option').forEach(button => {
+            const index = Number(button.dataset.index);
+            button.disabled = true;
+            button.classList.toggle('quiz-option-correct', index === question.answerIndex);
+            button.classList.toggle('quiz-option-wrong', index === optionIndex && !isCorrect);
+        });
+        
+        const isLast = quiz.index === quiz.questions.length - 1;
+        const feedback = this.elements.quizContent.querySelector('.quiz-feedback');
+        if (feedback) {
+            feedback.innerHTML = `
+                <p class="${isCorrect ? 'quiz-feedback-correct' : 'quiz-feedback-wrong'}">
+                    ${isCorrect ? '¡Correcto!' : `Incorrecto. La respuesta es: ${this.escapeHtml(question.options[question.answerIndex])}`}
+                </p>
+                <button type="button" class="btn btn-primary quiz-next">${isLast ? 'Ver resultados' : 'Siguiente pregunta'}</button>
+            `;
+            feedback.querySelector('.quiz-next').focus();
+        }
+    }
+    
+    /**
+     * Move to the next question, or to the results after the last one
+     */
+    handleQuizNext() {
+        const quiz = this.quiz;
+        if (!quiz || !quiz.answered) {
+            return;
+        }
+        
+        quiz.index += 1;
+        if (quiz.index < quiz.questions.length) {
+            this.renderQuizQuestion();
+        } else {
+            this.renderQuizResults();
+        }
+    }
+    
+    /**
+     * Show the score and the terms that were missed
+     */
+    renderQuizResults() {
+        const quiz = this.quiz;
+        const missed = quiz.questions.filter((question, index) => quiz.answers[index] !== question.answerIndex);
+        const correctCount = quiz.questions.length - missed.length;
+        const percentage = Math.round((correctCount / quiz.questions.length) * 100);
+        
+        if (this.elements.quizProgress) {
+            this.elements.quizProgress.textContent = `Resultado: ${correctCount} de ${quiz.questions.length} (${percentage}%)`;
+        }
+        
+        const missedHTML = missed.length === 0
+            ? '<p class="quiz-results-perfect">¡Respondiste todo correctamente!</p>'
+            : `
+                <h4 class="quiz-results-subtitle">Términos para repasar (${missed.length})</h4>
+                <ul class="quiz-missed-list">
+                    ${missed.map(question => {
+                        const index = quiz.questions.indexOf(question);
+                        const chosen = question.options[quiz.answers[index]];
+                        return `
+                            <li class="quiz-missed-item">
+                                <a class="term-link" href="${this.router.build({ name: 'term', slug: question.term.slug })}">${this.escapeHtml(question.term.termino_formal)}</a>
+                                <span class="quiz-missed-dominicanismo">(${this.escapeHtml(question.term.dominicanismo)})</span>
+                                <span class="quiz-missed-answer">Tu respuesta: ${this.escapeHtml(chosen)}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            `;
+        
+        this.elements.quizContent.innerHTML = `
+            <div class="quiz-results">
+                <h3 class="quiz-prompt" id="quizPrompt" tabindex="-1">${correctCount} de ${quiz.questions.length} correctas</h3>
+                ${missedHTML}
+                <button type="button" class="btn btn-primary quiz-restart">Nuevo quiz</button>
+            </div>
+        `;
+        
+        const heading = this.elements.quizContent.querySelector('#quizPrompt');
+        if (heading) {
+            heading.focus();
+        }
+        
+        console.log(`Quiz finished: ${correctCount}/${quiz.questions.length}`);
+    }
+    
+    /**
+     * Leave the quiz, back to where it was opened from
+     */
+    handleQuizBack() {
+        if (this.router.canGoBack()) {
+            window.history.back();
+            return;
+        }
+        
+        if (this.quizArea) {
+            this.handleAreaClick(this.quizArea);
+        } else {
+            this.showAreasView();
+            this.syncRoute();
+        }
+    }
+    
+    /**
+     * Get the title of the glossary for the current view
+     * @returns {string} Title such as "Glosario de Informática"
+     */
+    getGlossaryTitle() {
+        switch (this.currentView) {
+            case 'area-filter':
+                return `Glosario de ${this.getAreaDisplayName(this.currentArea)}`;
+            case 'search':
+                return this.currentArea
+                    ? `Glosario: "${this.searchQuery}" en ${this.getAreaDisplayName(this.currentArea)}`
+                    : `Glosario: "${this.searchQuery}"`;
+            case 'favorites':
+                return 'Glosario: Mis términos';
+            default:
+                return 'Glosario';
+        }
+    }
+    
+    /**
+     * Build the print layout for a list of terms: alphabetized and grouped
+     * by categoria, under a header with the ITSC logo
+     * @param {Array} terms - Terms to include
+     * @param {string} title - Glossary title
+     * @returns {string} HTML content for #printGlossary
+     */
+    renderGlossary(terms, title) {
+        const showArea = new Set(terms.map(term => term.area)).size > 1;
+        const date = new Date().toLocaleDateString('es-DO', { year: 'numeric', month: 'long', day: 'numeric' });
+        const categoriasHTML = this.selectedCategorias.size > 0
+            ? `<p class="glossary-meta">Categorías: ${this.escapeHtml(Array.from(this.selectedCategorias).map(categoria => categoria || 'Sin categoría').join(', '))}</p>`
+            : '';
+        
+        const groupsHTML = this.searchEngine.getCategoriaCounts(terms).map(({ categoria }) => {
+            const groupTerms = terms
+                .filter(term => this.searchEngine.getTermCategoria(term) === categoria)
+                .sort((a, b) => a.termino_formal.localeCompare(b.termino_formal, 'es'));
+            
+            const entriesHTML = groupTerms.map(term => {
+                const areaHTML = showArea
+                    ? `<span class="glossary-area">${this.escapeHtml(this.getAreaDisplayName(term.area))}</span>`
+                    : '';
+                const definicionHTML = term.definicion
+                    ? `<p class="glossary-definicion">${this.escapeHtml(term.definicion)}</p>`
+                    : '';
+                return `
+                    <article class="glossary-term">
+                        <h3 class="glossary-term-title">
+                            ${this.escapeHtml(term.termino_formal)}
+                            <span class="glossary-dominicanismo">(${this.escapeHtml(term.dominicanismo)})</span>
+                            ${areaHTML}
+                        </h3>
+                        ${definicionHTML}
+                        <p class="glossary-ejemplo"><em>"${this.escapeHtml(term.ejemplo_uso)}"</em></p>
+                    </article>
+                `;
+            }).join('');
+            
+            return `
+                <section class="glossary-group">
+                    <h2 class="glossary-group-title">${this.escapeHtml(categoria || 'Sin categoría')}</h2>
+                    ${entriesHTML}
+                </section>
+            `;
+        }).join('');
+        
+        return `
+            <header class="glossary-header">
+                <img src="logo.png" alt="Logo ITSC" class="glossary-logo" />
+                <div>
+                    <p class="glossary-institution">Instituto Técnico Superior Comunitario · Diccionario del ITSC</p>
+                    <h1 class="glossary-title">${this.escapeHtml(title)}</h1>
+                    <p class="glossary-meta">${terms.length} ${terms.length === 1 ? 'término' : 'términos'} · ${this.escapeHtml(date)}</p>
+                    ${categoriasHTML}
+                </div>
+            </header>
+            ${groupsHTML}
+        `;
+    }
+    
+    /**
+     * Print the terms on screen as a glossary
+     */
+    printGlossary() {
+        const terms = this.getVisibleTerms();
+        if (!this.elements.printGlossary || terms.length === 0) {
+            return;
+        }
+        
+        this.elements.printGlossary.innerHTML = this.renderGlossary(terms, this.getGlossaryTitle());
+        document.documentElement.classList.add('printing-glossary');
+        
+        console.log(`Printing glossary with ${terms.length} terms`);
+        window.print();
+    }
+    
+    /**
+     * Get a file name for exports of the current view
+     * @param {string} extension - File extension
+     * @returns {string} File name such as "diccionario-itsc-informatica.csv"
+     */
+    getExportFileName(extension) {
+        let scope = 'terminos';
+        if (this.currentView === 'area-filter' && this.currentArea) {
+            scope = this.currentArea;
+        } else if (this.currentView === 'search') {
+            const query = this.dataLoader.slugify(this.searchQuery);
+            scope = this.currentArea ? `${this.currentArea}-busqueda-${query}` : `busqueda-${query}`;
+        } else if (this.currentView === 'favorites') {
+            scope = 'mis-terminos';
+        }
+        return `diccionario-itsc-${scope}.${extension}`;
+    }
+    
+    /**
+     * Download the terms on screen in an export format
+     * @param {string} format - 'csv', 'json' or 'anki' (see TermExporter)
+     */
+    exportTerms(format) {
+        const terms = this.getVisibleTerms();
+        const formatInfo = this.termExporter.formats[format];
+        if (terms.length === 0 || !formatInfo) {
+            return;
+        }
+        
+        const blob = new Blob([this.termExporter.export(terms, format)], { type: formatInfo.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getExportFileName(formatInfo.extension);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Give the browser time to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        const termText = terms.length === 1 ? 'término exportado' : 'términos exportados';
+        this.announceSearchStatus(`${terms.length} ${termText} en ${link.download}.`);
+        console.log(`Exported ${terms.length} terms as ${format}`);
+    }
+    
+    /**
+     * Restore the normal print layout once the print dialog closes
+     */
+    clearPrintGlossary() {
+        document.documentElement.classList.remove('printing-glossary');
+        if (this.elements.printGlossary) {
+            this.elements.printGlossary.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Show areas view with smooth transition
+     */
+    showAreasView() {
+        this.currentView = 'areas';
+        this.currentArea = null;
+        this.currentTermSlug = null;
+        this.selectedCategorias.clear();
+        
+        this.hideAllSections();
+        
+        // Show areas section with smooth transition
+        if (this.elements.areasSection) {
+            this.elements.areasSection.style.display = 'block';
+            this.elements.areasSection.style.opacity = '0';
+            this.elements.areasSection.style.transform = 'translateY(10px)';
+            
+            // Trigger smooth transition
+            requestAnimationFrame(() => {
+                this.elements.areasSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
+                this.elements.areasSection.style.opacity = '1';
+                this.elements.areasSection.style.transform = 'translateY(0)';
+            });
+        }
+        
+        // Hide back button when showing areas
+        if (this.elements.backButton) {
+            this.elements.backButton.style.display = 'none';
+        }
+        
+        this.updateStudySummary();
+        
+        console.log('Showing areas view');
+    }
+    
+    /**
+     * Show area filter view with smooth transition
+     * @param {string} area - Academic area name
+     * @param {Array} terms - Array of terms for the area
+     */
+    showAreaFilterView(area, terms = []) {
+        this.hideAllSections();
+        
+        // Show results section with smooth transition
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = 'block';
+            this.elements.resultsSection.style.opacity = '0';
+            this.elements.resultsSection.style.transform = 'translateY(10px)';
+            
+            // Trigger smooth transition
+            requestAnimationFrame(() => {
+                this.elements.resultsSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
+                this.elements.resultsSection.style.opacity = '1';
+                this.elements.resultsSection.style.transform = 'translateY(0)';
+            });
+        }
+        
+        // Show back button for area filter view
+        if (this.elements.backButton) {
+            this.elements.backButton.style.display = 'inline-flex';
+        }
+        
+        // Update results title
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.textContent = `Términos de ${this.getAreaDisplayName(area)}`;
+        }
+        
+        // Show terms (filtered by the selected categorias) or no results message
+        if (terms.length === 0) {
+            this.viewTerms = [];
+            this.viewMatches = new Map();
+            this.renderCategoriaFilter([]);
+            
+            if (this.elements.resultsCount) {
+                this.elements.resultsCount.textContent = '0 términos encontrados';
+            }
+            
+            if (this.elements.resultsGrid) {
+                this.elements.resultsGrid.innerHTML = `
+                    <div class="placeholder-message">
+                        <p>No se encontraron términos para el área de ${this.getAreaDisplayName(area)}.</p>
+                    </div>
+                `;
+            }
+        } else {
+            this.showTermList(terms);
+        }
+        
+        console.log(`Showing area filter view for: ${area} with ${terms.length} terms`);
+    }
+    
+    /**
+     * Render search results view with ranked results
+     * @param {Array} results - Ranked results from SearchEngine.search()
+     */
+    renderSearchResults(results) {
+        // Switch to search results view
+        this.currentView = 'search';
+        this.searchResults = results;
+        this.hideAllSections();
+        
+        // Show results section with smooth transition
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = 'block';
+            this.elements.resultsSection.style.opacity = '0';
+            this.elements.resultsSection.style.transform = 'translateY(10px)';
+            
+            // Trigger smooth transition
+            requestAnimationFrame(() => {
+                this.elements.resultsSection.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
+                this.elements.resultsSection.style.opacity = '1';
+                this.elements.resultsSection.style.transform = 'translateY(0)';
+            });
+        }
+        
+        // Hide back button for search results (search can be cleared instead)
+        if (this.elements.backButton) {
+            this.elements.backButton.style.display = 'none';
+        }
+        
+        // A search inside an area keeps the back button and names the area
+        if (this.currentArea && this.elements.backButton) {
+            this.elements.backButton.style.display = 'inline-flex';
+        }
+        
+        // Update results title
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.textContent = this.currentArea
+                ? `Resultados en ${this.getAreaDisplayName(this.currentArea)}`
+                : 'Resultados de búsqueda';
+        }
+        
+        // Handle empty results
+        if (results.length === 0) {
+            this.showNoResultsMessage();
+        } else {
+            this.showSearchResultsContent(results);
+        }
+        
+        console.log(`Rendered search results: ${results.length} terms found`);
+    }
+
+    /**
+     * Show "no results found" message for empty search results
+     */
+    showNoResultsMessage() {
+        // Show no results message
+        if (this.elements.noResults) {
+            this.elements.noResults.style.display = 'block';
+            this.elements.noResults.style.opacity = '0';
+            this.elements.noResults.style.transform = 'translateY(10px)';
+            
+            // Smooth transition for no results message
+            requestAnimationFrame(() => {
+                this.elements.noResults.style.transition = 'opacity 0.3s ease-out, transform 0.3s ease-out';
+                this.elements.noResults.style.opacity = '1';
+                this.elements.noResults.style.transform = 'translateY(0)';
+            });
+        }
+        
+        // Clear results grid
+        if (this.elements.resultsGrid) {
+            this.elements.resultsGrid.innerHTML = '';
+        }
+        
+        // Nothing to filter by categoria
+        this.viewTerms = [];
+        this.viewMatches = new Map();
+        this.renderCategoriaFilter([]);
+        this.updateResultsActions();
+        
+        // Update results count
+        if (this.elements.resultsCount) {
+            this.elements.resultsCount.textContent = 'No se encontraron resultados';
+        }
+        
+        this.renderNoResultsHelp();
+    }
+    
+    /**
+     * Offer ways out of an empty search: corrected queries, the terms with
+     * the nearest spelling, terms whose definition matches a description,
+     * and retrying in every area
+     */
+    renderNoResultsHelp() {
+        const help = this.elements.noResultsHelp;
+        if (!help) return;
+        
+        const query = this.searchQuery;
+        const { corrections, closestTerms, definitionMatches } = this.searchEngine.findAlternatives(query, {
+            fullText: this.fullTextSearch,
+            area: this.currentArea
+        });
+        const renderRetry = (label, retryQuery, options = '') =>
+            `<button type="button" class="no-results-retry" data-query="${this.escapeHtml(retryQuery)}"${options}>${this.escapeHtml(label)}</button>`;
+        const renderTermLinks = terms => `
+            <ul class="term-related-list">
+                ${terms.map(term => `
+                    <li>
+                        <a class="term-related-link" href="${this.router.build({ name: 'term', slug: term.slug })}">
+                            ${this.escapeHtml(term.termino_formal)}
+                            <span class="term-related-dominicanismo">(${this.escapeHtml(term.dominicanismo)}) · ${this.escapeHtml(this.getAreaDisplayName(term.area))}</span>
+                        </a>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        const sections = [];
+        
+        if (corrections.length > 0) {
+            sections.push(`
+                <p class="no-results-correction">
+                    ¿Quisiste decir ${corrections.map(correction => renderRetry(correction.query, correction.query)).join(' o ')}?
+                </p>
+            `);
+        }
+        
+        if (closestTerms.length > 0) {
+            sections.push(`
+                <section class="no-results-group">
+                    <h3 class="no-results-heading">Términos con nombre parecido</h3>
+                    ${renderTermLinks(closestTerms.map(closest => closest.term))}
+                </section>
+            `);
+        }
+        
+        if (definitionMatches.length > 0) {
+            // Only offer the full-text retry when it finds something itself
+            const fullTextRetry = this.searchEngine.search(query, { fullText: true }).length > 0
+                ? renderRetry('Buscar también en definiciones', query, ' data-full-text="true"')
+                : '';
+            sections.push(`
+                <section class="no-results-group">
+                    <h3 class="no-results-heading">Términos cuya definición se parece a tu búsqueda</h3>
+                    ${renderTermLinks(definitionMatches.map(result => result.term))}
+                    ${fullTextRetry}
+                </section>
+            `);
+        }
+        
+        if (this.currentArea && this.searchEngine.search(query, { fullText: this.fullTextSearch }).length > 0) {
+            sections.push(`<p class="no-results-correction">${renderRetry('Buscar en todas las áreas', query, ' data-all-areas="true"')}</p>`);
+        }
+        
+        help.innerHTML = sections.join('');
+        
+        if (corrections.length > 0) {
+            this.announceSearchStatus(`No se encontraron términos. ¿Quisiste decir ${corrections[0].query}?`);
+        } else if (sections.length > 0) {
+            this.announceSearchStatus('No se encontraron términos. Hay sugerencias debajo del mensaje.');
+        }
+    }
+    
+    /**
+     * Run a search again from one of the no-results suggestions
+     * @param {string} query - Query to search for
+     * @param {Object} options - Retry options
+     * @param {boolean} options.fullText - Turn on full-text search first
+     * @param {boolean} options.allAreas - Leave the current area first
+     */
+    retrySearch(query, { fullText = false, allAreas = false } = {}) {
+        if (fullText) {
+            this.fullTextSearch = true;
+            if (this.elements.fullTextToggle) {
+                this.elements.fullTextToggle.checked = true;
+            }
+        }
+        
+        if (allAreas) {
+            this.currentArea = null;
+        }
+        
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = query;
+        }
+        this.handleSearchInput(query);
+        
+        // The clicked button is replaced, so keep focus somewhere useful
+        if (this.elements.searchInput) {
+            this.elements.searchInput.focus();
+        }
+    }
+
+    /**
+     * Show a query syntax error in place of the search results
+     * @param {QuerySyntaxError} error - Error raised by the query parser
+     */
+    showQueryError(error) {
+        this.currentView = 'search';
+        this.hideAllSections();
+        
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = 'block';
+        }
+        
+        // Like renderSearchResults(): inside an area the way back stays
+        if (this.elements.backButton) {
+            this.elements.backButton.style.display = this.currentArea ? 'inline-flex' : 'none';
+        }
+        
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.textContent = 'Búsqueda no válida';
+        }
+        
+        this.viewTerms = [];
+        this.viewMatches = new Map();
+        this.searchResults = [];
+        this.renderCategoriaFilter([]);
+        this.updateResultsActions();
+        
+        if (this.elements.resultsCount) {
+            this.elements.resultsCount.textContent = '';
+        }
+        
+        if (this.elements.resultsGrid) {
+            this.elements.resultsGrid.innerHTML = `
+                <div class="placeholder-message query-error">
+                    <p>${this.escapeHtml(error.message)}</p>
+                    <ul class="query-help">
+                        <li><code>"base de datos"</code> busca la frase exacta</li>
+                        <li><code>red -cable</code> excluye los términos con "cable"</li>
+                        <li><code>red OR servidor</code> acepta cualquiera de los dos</li>
+                        <li><code>(red OR wifi) -cable</code> agrupa con paréntesis</li>
+                    </ul>
+                </div>
+            `;
+        }
+        
+        console.warn(`Invalid search query at position ${error.position}: ${error.message}`);
+    }
+
+    /**
+     * Show search results content with term cards
+     * @param {Array} results - Ranked results from SearchEngine.search()
+     */
+    showSearchResultsContent(results) {
+        // Hide no results message
+        if (this.elements.noResults) {
+            this.elements.noResults.style.display = 'none';
+        }
+        
+        // Render search results using term cards, keeping the ranking order
+        const shownResults = this.collapseEquivalents ? this.collapseEquivalentResults(results) : results;
+        const terms = shownResults.map(result => result.term);
+        const matches = new Map(shownResults.map(result => [result.term, result]));
+        this.showTermList(terms, matches);
+    }
+
+    /**
+     * Keep the best-ranked result of each concept, so a term repeated across
+     * areas shows up once (its card links to the others under "También en")
+     * @param {Array} results - Ranked results from SearchEngine.search()
+     * @returns {Array} Results with one entry per concept, in ranking order
+     */
+    collapseEquivalentResults(results) {
+        const seen = new Set();
+        return results.filter(result => {
+            const key = this.dataLoader.getConceptKey(result.term);
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Build the "También en" line linking a term to its counterparts in other areas
+     * @param {Object} term - Term object with slug and area
+     * @returns {string} HTML paragraph, or an empty string if the term is only in one area
+     */
+    renderAlsoIn(term) {
+        const equivalents = term.slug ? this.dataLoader.getEquivalentTerms(term) : [];
+        if (equivalents.length === 0) {
+            return '';
+        }
+        
+        const links = equivalents.map(other => {
+            const areaName = this.getAreaDisplayName(other.area);
+            return `<a class="term-also-in-link" href="${this.router.build({ name: 'term', slug: other.slug })}" aria-label="${this.escapeHtml(`${other.termino_formal} en ${areaName}`)}">${this.escapeHtml(areaName)}</a>`;
+        });
+        
+        return `<p class="term-also-in">También en: ${links.join(', ')}</p>`;
+    }
+
+    /**
+     * Build the chips for a term's sinonimos and relacionados
+     * Each chip links to the referenced term; broken references are left out
+     * (DataLoader reports them at load time).
+     * @param {Object} term - Term object with slug and area
+     * @returns {string} HTML for the chip groups, or an empty string if there are none
+     */
+    renderTermReferences(term) {
+        const labels = { sinonimos: 'Sinónimos', relacionados: 'Ver también' };
+        
+        const groupsHTML = this.dataLoader.referenceFields.map(field => {
+            const targets = this.dataLoader.getTermReferences(term, field);
+            if (targets.length === 0) {
+                return '';
+            }
+            
+            const chipsHTML = targets.map(target => {
+                // Name the area when the reference leaves the term's own area
+                const areaHTML = target.area !== term.area
+                    ? `<span class="term-reference-area">· ${this.escapeHtml(this.getAreaDisplayName(target.area))}</span>`
+                    : '';
+                return `<li><a class="term-reference-chip" href="${this.router.build({ name: 'term', slug: target.slug })}">${this.escapeHtml(target.termino_formal)}${areaHTML}</a></li>`;
+            }).join('');
+            
+            return `
+                <div class="term-references-group">
+                    <span class="term-references-label" id="${this.escapeHtml(`${term.slug}-${field}`)}">${labels[field] || field}:</span>
+                    <ul class="term-references-list" aria-labelledby="${this.escapeHtml(`${term.slug}-${field}`)}">${chipsHTML}</ul>
+                </div>
+            `;
+        }).join('');
+        
+        return groupsHTML ? `<div class="term-references">${groupsHTML}</div>` : '';
+    }
+
+    /**
+     * Show a list of terms with categoria chips built from that list
+     * @param {Array} terms - Terms on screen before the categoria filter
+     * @param {Map} matches - Optional map of term object to its search result
+     */
+    showTermList(terms, matches = new Map()) {
+        this.viewTerms = terms;
+        this.viewMatches = matches;
+        
+        // Drop selections that do not exist in the new list
+        const available = new Set(terms.map(term => this.searchEngine.getTermCategoria(term)));
+        this.selectedCategorias.forEach(categoria => {
+            if (!available.has(categoria)) {
+                this.selectedCategorias.delete(categoria);
+            }
+        });
+        
+        this.renderCategoriaFilter(terms);
+        this.renderFilteredTerms();
+    }
+
+    /**
+     * Render viewTerms filtered by the selected categorias, with the results count
+     */
+    renderFilteredTerms() {
+        const visibleTerms = this.getVisibleTerms();
+        
+        if (visibleTerms.length === 0 && this.elements.resultsGrid) {
+            this.elements.resultsGrid.innerHTML = `
+                <div class="placeholder-message">
+                    <p>Ningún término coincide con las categorías seleccionadas.</p>
+                </div>
+            `;
+        } else {
+            this.renderTermCards(visibleTerms, this.viewMatches);
+        }
+        
+        // Update results count with proper pluralization
+        if (this.elements.resultsCount) {
+            // "1 de 3 términos" agrees with the total, not the visible count
+            const isFiltered = visibleTerms.length < this.viewTerms.length;
+            const countForGrammar = isFiltered ? this.viewTerms.length : visibleTerms.length;
+            const termText = countForGrammar === 1 ? 'término' : 'términos';
+            const foundText = countForGrammar === 1 ? 'encontrado' : 'encontrados';
+            const totalText = isFiltered ? ` de ${this.viewTerms.length}` : '';
+            this.elements.resultsCount.textContent = `${visibleTerms.length}${totalText} ${termText} ${foundText}`;
+        }
+        
+        this.updateResultsActions();
+    }
+
+    /**
+     * Get the terms on screen: viewTerms filtered by the selected categorias,
+     * in the order chosen for the current list
+     * @returns {Array} Visible terms
+     */
+    getVisibleTerms() {
+        return this.orderTerms(this.searchEngine.filterByCategorias(this.viewTerms, this.selectedCategorias));
+    }
+    
+    /**
+     * Get the kind of term list on screen, as used by SortPreferences
+     * @returns {string|null} 'search', 'area', 'favorites', or null if no term list is shown
+     */
+    getListView() {
+        switch (this.currentView) {
+            case 'search':
+                return 'search';
+            case 'area-filter':
+                return 'area';
+            case 'favorites':
+                return 'favorites';
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Get the sort and grouping of the term list on screen
+     * @returns {{sort: string, group: string}} Preferences; relevance and no groups outside term lists
+     */
+    getListPreferences() {
+        const listView = this.getListView();
+        return listView ? this.sortPreferences.get(listView) : { sort: 'relevance', group: 'none' };
+    }
+    
+    /**
+     * Put terms in the order chosen for the current list
+     * Terms are sorted first and then gathered into their groups with a
+     * stable sort, so the chosen order holds inside every group.
+     * @param {Array} terms - Terms in ranking or file order
+     * @returns {Array} New ordered array
+     */
+    orderTerms(terms) {
+        const { sort, group } = this.getListPreferences();
+        const sorted = sort === 'relevance' ? terms.slice() : this.searchEngine.sortTerms(terms, sort);
+        if (group === 'none') {
+            return sorted;
+        }
+        
+        const groupOrder = this.getGroupOrder(sorted, group);
+        return sorted.sort((a, b) =>
+            groupOrder.get(this.getTermGroup(a, group)) - groupOrder.get(this.getTermGroup(b, group)));
+    }
+    
+    /**
+     * Get the group a term belongs to
+     * @param {Object} term - Term object
+     * @param {string} group - 'area' or 'categoria'
+     * @returns {string} Area id or categoria ('' when missing)
+     */
+    getTermGroup(term, group) {
+        return group === 'area' ? term.area : this.searchEngine.getTermCategoria(term);
+    }
+    
+    /**
+     * Rank the groups present in a list: areas in registry order, categorias
+     * alphabetically with "Sin categoría" last
+     * @param {Array} terms - Terms in the list
+     * @param {string} group - 'area' or 'categoria'
+     * @returns {Map<string, number>} Group key to position
+     */
+    getGroupOrder(terms, group) {
+        const keys = Array.from(new Set(terms.map(term => this.getTermGroup(term, group))));
+        
+        if (group === 'area') {
+            const areaOrder = this.dataLoader.academicAreas;
+            const rank = area => (areaOrder.includes(area) ? areaOrder.indexOf(area) : areaOrder.length);
+            keys.sort((a, b) => rank(a) - rank(b));
+        } else {
+            keys.sort((a, b) => (a === '') - (b === '') || a.localeCompare(b, 'es'));
+        }
+        
+        return new Map(keys.map((key, position) => [key, position]));
+    }
+    
+    /**
+     * Heading text for a group of terms
+     * @param {string} key - Area id or categoria
+     * @param {string} group - 'area' or 'categoria'
+     * @returns {string} Display name
+     */
+    getGroupLabel(key, group) {
+        if (group === 'area') {
+            return this.getAreaDisplayName(key);
+        }
+        return key || 'Sin categoría';
+    }
+    
+    /**
+     * Fill the sort and grouping selects for a kind of list
+     * @param {string} listView - 'search', 'area' or 'favorites'
+     */
+    renderSortControls(listView) {
+        const { sorts, groups } = this.sortPreferences.views[listView];
+        const { sort, group } = this.sortPreferences.get(listView);
+        const renderOptions = (values, labels, selected) => values
+            .map(value => `<option value="${value}"${value === selected ? ' selected' : ''}>${labels[value]}</option>`)
+            .join('');
+        
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.innerHTML = renderOptions(sorts, this.sortLabels, sort);
+        }
+        if (this.elements.groupSelect) {
+            this.elements.groupSelect.innerHTML = renderOptions(groups, this.groupLabels, group);
+        }
+    }
+    
+    /**
+     * Save a new sort or grouping for the current list and show it
+     * @param {{sort: string, group: string}} changes - Values to change
+     */
+    handleSortChange(changes) {
+        const listView = this.getListView();
+        if (!listView) {
+            return;
+        }
+        
+        this.sortPreferences.set(listView, changes);
+        if (this.currentView === 'favorites') {
+            this.showFavoritesView();
+        } else {
+            this.renderFilteredTerms();
+        }
+    }
+    
+    /**
+     * Show the A–Z bar for a list, or hide it
+     * @param {Set<string>|null} letters - Letters that start some term, or null to hide the bar
+     */
+    renderLetterJump(letters) {
+        const nav = this.elements.letterJump;
+        if (!nav) {
+            return;
+        }
+        
+        if (!letters) {
+            nav.hidden = true;
+            nav.innerHTML = '';
+            return;
+        }
+        
+        // "#" collects terms starting with a digit and sorts before A
+        const alphabet = (letters.has('#') ? '#' : '') + 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        nav.innerHTML = Array.from(alphabet).map(letter => `
+            <button type="button" class="letter-jump-button" data-letter="${letter}"${letters.has(letter) ? '' : ' disabled'}>${letter}</button>
+        `).join('');
+        nav.hidden = false;
+    }
+    
+    /**
+     * Scroll to the first term filed under a letter and focus its link
+     * @param {string} letter - Letter from the A–Z bar
+     */
+    jumpToLetter(letter) {
+        if (!this.elements.resultsGrid || !this.cardList || !this.cardList.letterIndexes.has(letter)) {
+            return;
+        }
+        
+        // The letter may be further down than the batches shown so far
+        this.renderCardsUpTo(this.cardList.letterIndexes.get(letter) + 1);
+        const card = this.elements.resultsGrid.querySelector(`.term-card[data-letter="${letter}"]`);
+        if (!card) {
+            return;
+        }
+        
+        this.updateHeaderOffset();
+        card.scrollIntoView({ block: 'start' });
+        const link = card.querySelector('.term-link');
+        if (link) {
+            link.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Expose the sticky header's height to CSS as --header-offset, so sticky
+     * group headings and scrolled-to cards are not hidden behind it
+     */
+    updateHeaderOffset() {
+        if (this.elements.header) {
+            document.documentElement.style.setProperty('--header-offset', `${this.elements.header.offsetHeight}px`);
+        }
+    }
+
+    /**
+     * Render the categoria chips for a list of terms
+     * @param {Array} terms - Terms the chips and counts are built from
+     */
+    renderCategoriaFilter(terms) {
+        const container = this.elements.categoriaFilter;
+        if (!container) {
+            return;
+        }
+        
+        const categoriaCounts = this.searchEngine.getCategoriaCounts(terms);
+        
+        // A single categoria has nothing to filter
+        if (categoriaCounts.length < 2) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const allSelected = this.selectedCategorias.size === 0;
+        const chipsHTML = categoriaCounts.map(({ categoria, count }) => {
+            const label = categoria || 'Sin categoría';
+            const pressed = this.selectedCategorias.has(categoria);
+            return `
+                <button type="button" class="categoria-chip" data-categoria="${this.escapeHtml(categoria)}" aria-pressed="${pressed}">
+                    ${this.escapeHtml(label)}
+                    <span class="categoria-chip-count" aria-label="${count} ${count === 1 ? 'término' : 'términos'}">${count}</span>
+                </button>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <button type="button" class="categoria-chip categoria-chip-all" data-categoria-all="true" aria-pressed="${allSelected}">
+                Todas
+                <span class="categoria-chip-count" aria-label="${terms.length} términos">${terms.length}</span>
+            </button>
+            ${chipsHTML}
+        `;
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Toggle a categoria chip, or clear the selection with the "Todas" chip
+     * @param {string|undefined} categoria - Chip categoria (undefined for "Todas")
+     */
+    handleCategoriaChipClick(categoria) {
+        if (categoria === undefined) {
+            this.selectedCategorias.clear();
+        } else if (this.selectedCategorias.has(categoria)) {
+            this.selectedCategorias.delete(categoria);
+        } else {
+            this.selectedCategorias.add(categoria);
+        }
+        
+        this.renderCategoriaFilter(this.viewTerms);
+        this.renderFilteredTerms();
+        
+        // Keep keyboard focus on the chip that was activated
+        if (this.elements.categoriaFilter) {
+            const selector = categoria === undefined
+                ? '.categoria-chip-all'
+                : `.categoria-chip[data-categoria="${CSS.escape(categoria)}"]`;
+            const chip = this.elements.categoriaFilter.querySelector(selector);
+            if (chip) {
+                chip.focus();
+            }
+        }
+        
+        const visibleCount = this.getVisibleTerms().length;
+        const termText = visibleCount === 1 ? 'término' : 'términos';
+        this.announceSearchStatus(`${visibleCount} ${termText} en las categorías seleccionadas.`);
+    }
+
+    showSearchResults(results) {
+        // Use the new renderSearchResults function for consistency
+        this.renderSearchResults(results);
+    }
+    
+    /**
+     * Show loading state with optional message
      * @param {string} message - Loading message to display
      */
     showLoading(message = 'Cargando...') {
@@ -1254,10 +3304,14 @@ class DiccionarioApp {
     }
     
     /**
-     * Render multiple term cards in the results grid
+     * Render a list of term cards in the results grid
+     * Only the first batch is built right away; the rest follows through
+     * renderMoreCards() as the student scrolls or presses "Cargar más", so
+     * long lists do not build hundreds of cards at once.
      * @param {Array} terms - Array of term objects to render
+     * @param {Map} matches - Optional map of term object to its search result
      */
-    renderTermCards(terms) {
+    renderTermCards(terms, matches = new Map()) {
         if (!this.elements.resultsGrid || !Array.isArray(terms)) {
             console.warn('Cannot render term cards: missing results grid or invalid terms array');
             return;
@@ -1266,40 +3320,234 @@ class DiccionarioApp {
         // Clear existing content
         this.elements.resultsGrid.innerHTML = '';
 
+        // Highlight what the current search looked for
+        const highlightTerms = this.currentView === 'search'
+            ? this.searchEngine.getHighlightTerms(this.searchQuery, { fullText: this.fullTextSearch })
+            : [];
+
+        // Terms arrive ordered by orderTerms(); headings show the size of the
+        // whole group, and the A–Z bar needs the first index of each letter,
+        // so both are worked out before any card exists
+        const { sort, group } = this.getListPreferences();
+        const groupCounts = new Map();
+        if (group !== 'none') {
+            terms.forEach(term => {
+                const key = this.getTermGroup(term, group);
+                groupCounts.set(key, (groupCounts.get(key) || 0) + 1);
+            });
+        }
+        const showsLetters = sort !== 'relevance' && group === 'none' && terms.length >= this.letterJumpMinTerms;
+        const letterIndexes = new Map();
+        if (showsLetters) {
+            terms.forEach((term, index) => {
+                const letter = this.searchEngine.getInitialLetter(term[sort]);
+                if (!letterIndexes.has(letter)) {
+                    letterIndexes.set(letter, index);
+                }
+            });
+        }
+
+        this.cardList = {
+            terms,
+            matches,
+            highlightTerms,
+            sort,
+            group,
+            groupCounts,
+            currentGroup: null,
+            letterIndexes,
+            rendered: 0
+        };
+        this.renderMoreCards(this.cardBatchSize);
+
+        this.renderLetterJump(showsLetters ? new Set(letterIndexes.keys()) : null);
+        if (group !== 'none' || showsLetters) {
+            this.updateHeaderOffset();
+        }
+        this.restorePendingScroll();
+    }
+
+    /**
+     * Append the next cards of the list started by renderTermCards()
+     * @param {number} count - Number of cards to add
+     * @returns {HTMLElement|null} First card added, or null if the list was complete
+     */
+    renderMoreCards(count) {
+        const list = this.cardList;
+        if (!list || !this.elements.resultsGrid || count <= 0) {
+            return null;
+        }
+
         // Create document fragment for efficient DOM manipulation
         const fragment = document.createDocumentFragment();
+        const end = Math.min(list.rendered + count, list.terms.length);
+        let firstCard = null;
+
+        for (let index = list.rendered; index < end; index++) {
+            const term = list.terms[index];
 
-        // Render each term as a card
-        terms.forEach(term => {
-            const termCard = this.renderTermCard(term);
+            // Start a heading at every new group
+            if (list.group !== 'none' && this.getTermGroup(term, list.group) !== list.currentGroup) {
+                list.currentGroup = this.getTermGroup(term, list.group);
+                const heading = document.createElement('h3');
+                heading.className = 'results-group-title';
+                heading.textContent = `${this.getGroupLabel(list.currentGroup, list.group)} (${list.groupCounts.get(list.currentGroup)})`;
+                fragment.appendChild(heading);
+            }
+
+            const termCard = this.renderTermCard(term, list.matches.get(term), list.highlightTerms);
             if (termCard) {
+                // Mark the first card of each letter for the A–Z bar
+                if (list.letterIndexes.size > 0) {
+                    const letter = this.searchEngine.getInitialLetter(term[list.sort]);
+                    if (list.letterIndexes.get(letter) === index) {
+                        termCard.dataset.letter = letter;
+                    }
+                }
+                firstCard = firstCard || termCard;
                 fragment.appendChild(termCard);
             }
-        });
+        }
 
-        // Append all cards at once
+        // Append the batch at once
+        list.rendered = end;
         this.elements.resultsGrid.appendChild(fragment);
+        this.updateLoadMore();
+        return firstCard;
+    }
+
+    /**
+     * Render batches until the list shows at least a number of cards
+     * @param {number} count - Cards that must be on screen
+     */
+    renderCardsUpTo(count) {
+        if (this.cardList && count > this.cardList.rendered) {
+            const batches = Math.ceil((count - this.cardList.rendered) / this.cardBatchSize);
+            this.renderMoreCards(batches * this.cardBatchSize);
+        }
+    }
+
+    /**
+     * Show the next batch from the "Cargar más" button and move focus to
+     * its first card, so keyboard users continue where the list grew
+     */
+    loadMoreCards() {
+        const firstCard = this.renderMoreCards(this.cardBatchSize);
+        if (!firstCard) {
+            return;
+        }
+
+        const link = firstCard.querySelector('.term-link');
+        if (link) {
+            link.focus();
+        } else {
+            firstCard.setAttribute('tabindex', '-1');
+            firstCard.focus();
+        }
+    }
+
+    /**
+     * Show or hide the "Cargar más" control for the current list
+     * resultsCount keeps the full total; this only tells how many are on screen.
+     */
+    updateLoadMore() {
+        const container = this.elements.loadMore;
+        if (!container) {
+            return;
+        }
+
+        const list = this.cardList;
+        const remaining = list ? list.terms.length - list.rendered : 0;
+        container.hidden = remaining <= 0;
+
+        if (remaining > 0) {
+            if (this.elements.loadMoreStatus) {
+                this.elements.loadMoreStatus.textContent = `Mostrando ${list.rendered} de ${list.terms.length} términos`;
+            }
+            if (this.elements.loadMoreButton) {
+                this.elements.loadMoreButton.textContent = `Cargar ${Math.min(this.cardBatchSize, remaining)} más`;
+            }
+        }
+
+        // Observing again reports whether the control is still in view, so
+        // a screen taller than one batch keeps filling up
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.unobserve(container);
+            if (remaining > 0) {
+                this.loadMoreObserver.observe(container);
+            }
+        }
+    }
+
+    /**
+     * Forget the list being rendered when the grid shows a message instead
+     */
+    clearCardList() {
+        this.cardList = null;
+        this.renderLetterJump(null);
+        this.updateLoadMore();
+    }
+
+    /**
+     * Remember how far the view on screen is scrolled, and how many cards it
+     * shows, so returning to it can put the student back in the same place
+     * Called as the view is left, before the next one replaces it; on
+     * back/forward the URL has already changed, hence shownHash.
+     */
+    saveScrollPosition() {
+        if (!this.shownHash) {
+            return;
+        }
+
+        this.scrollPositions.set(this.shownHash, {
+            scrollY: window.scrollY,
+            renderedCards: this.cardList ? this.cardList.rendered : 0
+        });
+    }
+
+    /**
+     * Restore the scroll position saved for a view once it is rendered
+     * @param {string} hash - Hash of the view, as in window.location.hash
+     */
+    setPendingScroll(hash) {
+        const saved = this.scrollPositions.get(hash);
+        this.pendingScroll = saved ? { hash, ...saved } : null;
+    }
+
+    /**
+     * Apply the pending scroll position if its view is the one on screen
+     * Lists render the cards that were on screen before, or the position
+     * would be past the end of the first batch.
+     */
+    restorePendingScroll() {
+        const pending = this.pendingScroll;
+        this.pendingScroll = null;
+        if (!pending || pending.hash !== window.location.hash) {
+            return;
+        }
+
+        this.renderCardsUpTo(pending.renderedCards);
+        window.scrollTo(0, pending.scrollY);
     }
 
     /**
      * Render a single term card
      * @param {Object} term - Term object with termino_formal, dominicanismo, definicion, ejemplo_uso, and area
+     * @param {Object} match - Optional search result explaining why the term matched
+     * @param {Array<Object>} highlightTerms - Optional SearchEngine.getHighlightTerms() result to mark in the card
      * @returns {HTMLElement} DOM element representing the term card
      */
-    renderTermCard(term) {
+    renderTermCard(term, match = null, highlightTerms = []) {
         if (!term || typeof term !== 'object') {
             console.warn('Invalid term object provided to renderTermCard');
             return null;
         }
 
-        // Validate required fields
-        const requiredFields = ['termino_formal', 'dominicanismo', 'definicion', 'ejemplo_uso'];
-        for (const field of requiredFields) {
-            if (!term[field] || typeof term[field] !== 'string') {
-                console.warn(`Missing or invalid field '${field}' in term:`, term);
-                return null;
-            }
-        }
+        // Escaped field value with the search matches wrapped in <mark>
+        const highlight = field => this.renderHighlightedText(
+            term[field],
+            this.searchEngine.findHighlightRanges(term[field], field, highlightTerms)
+        );
 
         // Create card container
         const card = document.createElement('div');
@@ -1310,45 +3558,277 @@ class DiccionarioApp {
         // Create area badge if area is specified
         let areaBadgeHTML = '';
         if (term.area) {
-            const areaNames = {
-                'salud': 'Salud',
-                'informatica': 'Informática',
-                'artes': 'Artes',
-                'hosteleria': 'Turismo',
-                'construccion': 'Construcción',
-                'industrial': 'Industrial',
-                'electromecanica': 'Electromecánica'
-            };
-            const areaDisplayName = areaNames[term.area] || term.area;
-            areaBadgeHTML = `<span class="term-area-badge" data-area="${term.area}">${areaDisplayName}</span>`;
+            areaBadgeHTML = `<span class="term-area-badge" data-area="${this.escapeHtml(term.area)}">${this.escapeHtml(this.getAreaDisplayName(term.area))}</span>`;
+        }
+
+        // Explain why the term matched the current search
+        let matchInfoHTML = '';
+        if (match) {
+            card.dataset.score = match.score;
+            matchInfoHTML = `<p class="term-match-info" data-match-type="${match.matchType}">${this.escapeHtml(this.describeMatch(match))}</p>`;
         }
 
         // Build card HTML content
+        // Link to the term detail view and allow saving once slugs have been assigned
+        const formalHTML = term.slug
+            ? `<a class="term-link" href="${this.router.build({ name: 'term', slug: term.slug })}">${highlight('termino_formal')}</a>`
+            : highlight('termino_formal');
+        const favoriteHTML = term.slug ? this.renderFavoriteToggle(term) : '';
+
         card.innerHTML = `
             ${areaBadgeHTML}
             <div class="term-card-header">
+                ${favoriteHTML}
                 <h3 class="term-title">
-                    <span class="term-formal">${this.escapeHtml(term.termino_formal)}</span>
-                    <span class="term-separator">(</span><span class="term-dominicanismo">${this.escapeHtml(term.dominicanismo)}</span><span class="term-separator">)</span>
+                    <span class="term-formal">${formalHTML}</span>
+                    <span class="term-separator">(</span><span class="term-dominicanismo">${highlight('dominicanismo')}</span><span class="term-separator">)</span>
                 </h3>
+                ${matchInfoHTML}
             </div>
             <div class="term-card-body">
                 <div class="term-definition">
                     <h4 class="term-section-title">Definición</h4>
-                    <p class="term-definition-text">${this.escapeHtml(term.definicion)}</p>
+                    <p class="term-definition-text">${highlight('definicion')}</p>
                 </div>
                 <div class="term-example">
                     <h4 class="term-section-title">Ejemplo de uso</h4>
                     <p class="term-example-text"><em>"${this.escapeHtml(term.ejemplo_uso)}"</em></p>
                 </div>
+                ${term.slug ? this.renderTermReferences(term) : ''}
+                ${this.renderAlsoIn(term)}
             </div>
         `;
 
         return card;
     }
 
+    /**
+     * Build the star button that saves a term to "Mis términos"
+     * @param {Object} term - Term object with slug
+     * @param {boolean} withLabel - Show a text label next to the star
+     * @returns {string} HTML for the toggle button
+     */
+    renderFavoriteToggle(term, withLabel = false) {
+        const saved = this.favorites.has(term.slug);
+        const labelHTML = withLabel
+            ? `<span class="term-favorite-label">${saved ? 'Guardado' : 'Guardar'}</span>`
+            : '';
+        
+        return `
+            <button type="button" class="term-favorite-toggle" data-slug="${this.escapeHtml(term.slug)}" aria-pressed="${saved}" aria-label="Guardar ${this.escapeHtml(term.termino_formal)} en Mis términos">
+                <span class="term-favorite-icon" aria-hidden="true">${saved ? '★' : '☆'}</span>
+                ${labelHTML}
+            </button>
+        `;
+    }
+
+    /**
+     * Save or remove the term of a star button
+     * @param {HTMLElement} toggle - The clicked .term-favorite-toggle button
+     */
+    handleFavoriteToggle(toggle) {
+        const slug = toggle.dataset.slug;
+        const term = this.dataLoader.getTermBySlug(slug);
+        if (!term) {
+            return;
+        }
+        
+        const saved = this.favorites.toggle(term.slug);
+        this.updateFavoritesCount();
+        
+        if (this.currentView === 'favorites') {
+            // Removing a card: keep focus on the star of the card that takes its place
+            const toggles = Array.from(this.elements.resultsGrid.querySelectorAll('.term-favorite-toggle'));
+            const position = toggles.indexOf(toggle);
+            const renderedCards = this.cardList ? this.cardList.rendered : 0;
+            this.showFavoritesView();
+            // Keep the batches that were on screen, minus the removed card
+            this.renderCardsUpTo(renderedCards - 1);
+            
+            const remaining = this.elements.resultsGrid.querySelectorAll('.term-favorite-toggle');
+            const nextFocus = remaining[Math.min(position, remaining.length - 1)] || this.elements.resultsTitle;
+            if (nextFocus) {
+                nextFocus.focus();
+            }
+        } else {
+            // The same term can be on screen more than once (card and detail)
+            document.querySelectorAll(`.term-favorite-toggle[data-slug="${CSS.escape(term.slug)}"]`).forEach(button => {
+                button.setAttribute('aria-pressed', String(saved));
+                const icon = button.querySelector('.term-favorite-icon');
+                if (icon) {
+                    icon.textContent = saved ? '★' : '☆';
+                }
+                const label = button.querySelector('.term-favorite-label');
+                if (label) {
+                    label.textContent = saved ? 'Guardado' : 'Guardar';
+                }
+            });
+        }
+        
+        this.announceSearchStatus(saved
+            ? `${term.termino_formal} guardado en Mis términos.`
+            : `${term.termino_formal} quitado de Mis términos.`);
+    }
+
+    /**
+     * Update the saved terms counter in the header
+     */
+    updateFavoritesCount() {
+        const count = this.favorites.size;
+        
+        if (this.elements.favoritesCount) {
+            this.elements.favoritesCount.textContent = String(count);
+        }
+        
+        if (this.elements.favoritesLink) {
+            this.elements.favoritesLink.setAttribute('aria-label', `Mis términos: ${count} ${count === 1 ? 'guardado' : 'guardados'}`);
+        }
+    }
+
+    /**
+     * Resolve the saved slugs to loaded terms
+     * @returns {Array} Saved terms
+     */
+    getFavoriteTerms() {
+        return this.favorites.getTerms(slug => this.dataLoader.getTermBySlug(slug));
+    }
+
+    /**
+     * Show the "Mis términos" view: saved terms grouped by area
+     */
+    showFavoritesView() {
+        this.currentView = 'favorites';
+        this.currentArea = null;
+        this.currentTermSlug = null;
+        this.selectedCategorias.clear();
+        this.hideAllSections();
+        
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = 'block';
+        }
+        
+        if (this.elements.backButton) {
+            this.elements.backButton.style.display = 'inline-flex';
+        }
+        
+        if (this.elements.resultsTitle) {
+            this.elements.resultsTitle.textContent = 'Mis términos';
+        }
+        
+        const terms = this.getFavoriteTerms();
+        this.viewTerms = terms;
+        this.viewMatches = new Map();
+        this.renderCategoriaFilter([]);
+        this.updateResultsActions();
+        
+        if (this.elements.resultsCount) {
+            this.elements.resultsCount.textContent = terms.length === 1
+                ? '1 término guardado'
+                : `${terms.length} términos guardados`;
+        }
+        
+        if (!this.elements.resultsGrid) {
+            return;
+        }
+        
+        if (terms.length === 0) {
+            this.elements.resultsGrid.innerHTML = `
+                <div class="placeholder-message">
+                    <p>Aún no has guardado términos. Toca ☆ en cualquier término para tenerlo aquí.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Grouped by area and alphabetical unless the student chose otherwise
+        this.renderTermCards(this.getVisibleTerms());
+        
+        console.log(`Showing favorites view with ${terms.length} terms`);
+    }
+
+    /**
+     * Get the display name of an academic area
+     * @param {string} area - Area id such as "hosteleria"
+     * @returns {string} Display name such as "Turismo"
+     */
+    getAreaDisplayName(area) {
+        return this.dataLoader.getAreaName(area);
+    }
+
+    /**
+     * Render the academic area cards from the area registry (data/areas.json)
+     */
+    renderAreaCards() {
+        if (!this.elements.areasGrid) {
+            return;
+        }
+        
+        this.elements.areasGrid.innerHTML = this.dataLoader.areas.map(area => `
+            <div class="area-card" data-area="${this.escapeHtml(area.id)}" role="button" tabindex="0" aria-label="Explorar términos del área de ${this.escapeHtml(area.name)}">
+                <div class="area-card-icon">
+                    <span class="area-icon">${this.escapeHtml(area.icon || '📘')}</span>
+                </div>
+                <div class="area-card-content">
+                    <h3 class="area-card-title">${this.escapeHtml(area.name)}</h3>
+                    <p class="area-card-description">${this.escapeHtml(area.description || '')}</p>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Build a human readable explanation of a search match
+     * @param {Object} match - Search result from SearchEngine.search()
+     * @returns {string} Explanation such as "Coincidencia aproximada en el dominicanismo"
+     */
+    describeMatch(match) {
+        const matchTypeLabels = {
+            'exact': 'Coincidencia exacta',
+            'prefix': 'Comienza con tu búsqueda',
+            'word-prefix': 'Contiene una palabra que comienza con tu búsqueda',
+            'substring': 'Contiene tu búsqueda',
+            'fuzzy': 'Coincidencia aproximada'
+        };
+        const fieldLabels = {
+            'termino_formal': 'el término formal',
+            'dominicanismo': 'el dominicanismo',
+            'categoria': 'la categoría',
+            'definicion': 'la definición',
+            'ejemplo_uso': 'el ejemplo de uso'
+        };
+
+        const matchLabel = matchTypeLabels[match.matchType] || 'Coincidencia';
+        const fieldLabel = fieldLabels[match.field] || match.field;
+        return `${matchLabel} en ${fieldLabel}`;
+    }
+
+    /**
+     * Escape text and wrap the given ranges in <mark>
+     * @param {string} text - Raw text
+     * @param {Array<{start: number, end: number}>} ranges - Ordered, non-overlapping ranges (see SearchEngine.findMatchRanges())
+     * @returns {string} Escaped HTML
+     */
+    renderHighlightedText(text, ranges = []) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+        
+        let html = '';
+        let position = 0;
+        
+        ranges.forEach(({ start, end }) => {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+    
     /**
      * Escape HTML characters to prevent XSS attacks
+     * Quotes are escaped too, so the result is safe inside quoted attribute
+     * values (data-query="..." holds whatever the student typed).
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
@@ -1357,20 +3837,28 @@ class DiccionarioApp {
             return '';
         }
         
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
      * Hide all sections and reset their transition states
      */
     hideAllSections() {
+        this.saveScrollPosition();
+        
         const sections = [
             this.elements.loadingState,
             this.elements.errorState,
             this.elements.areasSection,
-            this.elements.resultsSection
+            this.elements.resultsSection,
+            this.elements.termDetailSection,
+            this.elements.studySection,
+            this.elements.quizSection
         ];
         
         sections.forEach(section => {
@@ -1521,4 +4009,4 @@ class DiccionarioApp {
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.diccionarioApp = new DiccionarioApp();
-});
\ No newline at end of file
+});
@@ -0,0 +1,958 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Data module: loading and validation of the area registry and term files
+ *
+ * No DOM dependency; fetch is injectable (see DataLoader) so the same code
+ * runs in the browser, in tools/ and in the tests in test/.
+ */
+
+/**
+ * SchemaValidator checks values against the subset of JSON Schema used by
+ * data/term.schema.json: type, enum, required, properties,
+ * additionalProperties, minLength, maxLength, pattern, items, minItems and
+ * uniqueItems. Unknown keywords are ignored.
+ */
+class SchemaValidator {
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - JSON Schema
+     * @param {Array<string|number>} path - Location of the value inside the document
+     * @returns {Array<{path: Array, message: string}>} Problems found (empty if valid)
+     */
+    static validate(value, schema, path = []) {
+        if (!schema || typeof schema !== 'object') {
+            return [];
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                return [{ path, message: `debe ser de tipo ${types.join(' o ')}` }];
+            }
+        }
+
+        const problems = [];
+        const add = (message, at = path) => problems.push({ path: at, message });
+
+        if (Array.isArray(schema.enum) && !schema.enum.some(option => option === value)) {
+            add(`debe ser uno de: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                add(schema.minLength === 1 ? 'no puede estar vacío' : `debe tener al menos ${schema.minLength} caracteres`);
+            } else if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+                add(value.trim() === '' ? 'no puede estar en blanco' : `no cumple el patrón ${schema.pattern}`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                add(`debe tener como máximo ${schema.maxLength} caracteres`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                add(`debe tener al menos ${schema.minItems} elemento(s)`);
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = JSON.stringify(item);
+                    if (seen.has(key)) {
+                        add('elemento repetido', [...path, index]);
+                    }
+                    seen.add(key);
+                });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    problems.push(...SchemaValidator.validate(item, schema.items, [...path, index]));
+                });
+            }
+        }
+
+        if (SchemaValidator.isType(value, 'object')) {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(field => {
+                if (!Object.prototype.hasOwnProperty.call(value, field)) {
+                    add('falta el campo obligatorio', [...path, field]);
+                }
+            });
+            Object.keys(value).forEach(field => {
+                if (Object.prototype.hasOwnProperty.call(properties, field)) {
+                    problems.push(...SchemaValidator.validate(value[field], properties[field], [...path, field]));
+                } else if (schema.additionalProperties === false) {
+                    add('campo no permitido por el esquema', [...path, field]);
+                }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     * @param {*} value - Value to check
+     * @param {string} type - 'string', 'number', 'integer', 'boolean', 'array', 'object' or 'null'
+     * @returns {boolean} True if the value has that type
+     */
+    static isType(value, type) {
+        switch (type) {
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null':
+                return value === null;
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            default:
+                return typeof value === type;
+        }
+    }
+}
+
+/**
+ * DataLoader class handles loading and validation of term data from JSON files
+ */
+class DataLoader {
+    /**
+     * @param {Object} options - Loader options
+     * @param {Function} options.fetch - fetch-compatible function used for every request
+     *        (defaults to the global fetch)
+     * @param {string} options.dataPath - URL prefix of the data files
+     * @param {Object} options.logger - Object with log, warn and error methods (defaults to console)
+     */
+    constructor({ fetch = (...args) => globalThis.fetch(...args), dataPath = './data/', logger = console } = {}) {
+        this.fetch = fetch;
+        this.dataPath = dataPath;
+        this.logger = logger;
+        this.registryFile = 'areas.json';
+        this.schemaFile = 'term.schema.json';
+        this.termSchema = null; // JSON Schema of the area files, only loaded by the tools (see getSchemaProblems())
+        this.requiredFields = ['termino_formal', 'dominicanismo', 'definicion', 'ejemplo_uso']; // Text every card shows
+        this.areas = []; // Area registry entries from data/areas.json
+        this.academicAreas = []; // Area ids, in registry order
+        this.loadedData = new Map();
+        this.allTerms = [];
+        this.termsBySlug = new Map();
+        this.slugAliases = new Map(); // Unqualified slug -> slug of the first term sharing it
+        this.duplicateSlugs = [];
+        this.equivalentGroups = new Map(); // Slug -> terms naming the same concept (see linkEquivalentTerms())
+        this.referenceFields = ['sinonimos', 'relacionados']; // Term fields that name other terms
+        this.termsByName = new Map(); // Slugified termino_formal -> terms with that name
+        this.brokenReferences = [];
+    }
+
+    /**
+     * Load all data from all academic area JSON files
+     * @returns {Promise<Array>} Array of all terms with area information
+     */
+    async loadAllData() {
+        try {
+            await this.loadAreaRegistry();
+            
+            const loadPromises = this.academicAreas.map(area => this.loadAreaData(area));
+            const areaResults = await Promise.allSettled(loadPromises);
+            
+            this.allTerms = [];
+            const failedAreas = [];
+            
+            areaResults.forEach((result, index) => {
+                const area = this.academicAreas[index];
+                if (result.status === 'fulfilled') {
+                    const areaTerms = result.value.map(term => ({
+                        ...term,
+                        area: area
+                    }));
+                    this.allTerms.push(...areaTerms);
+                    this.loadedData.set(area, areaTerms);
+                } else {
+                    this.logger.warn(`Failed to load data for area: ${area}`, result.reason);
+                    failedAreas.push(area);
+                }
+            });
+
+            if (failedAreas.length > 0) {
+                this.logger.warn(`Some areas failed to load: ${failedAreas.join(', ')}`);
+            }
+
+            if (this.allTerms.length === 0) {
+                throw new Error('No se pudieron cargar datos de ninguna área académica');
+            }
+
+            this.assignTermSlugs(this.allTerms);
+            this.indexTermNames(this.allTerms);
+            this.linkEquivalentTerms(this.allTerms);
+            this.checkTermReferences(this.allTerms);
+
+            this.logger.log(`Successfully loaded ${this.allTerms.length} terms from ${this.loadedData.size} areas`);
+            return this.allTerms;
+            
+        } catch (error) {
+            this.logger.error('Error loading all data:', error);
+            throw new Error('Error al cargar los datos del diccionario');
+        }
+    }
+
+    /**
+     * Load the area registry (data/areas.json) that lists every academic area
+     * @returns {Promise<Array>} Registry entries
+     */
+    async loadAreaRegistry() {
+        const response = await this.fetch(`${this.dataPath}${this.registryFile}`);
+        
+        if (!response.ok) {
+            throw new Error(`Error HTTP ${response.status} al cargar el registro de áreas`);
+        }
+        
+        return this.setAreaRegistry(await response.json());
+    }
+
+    /**
+     * Load the JSON Schema that term files must follow (data/term.schema.json)
+     * The app does not need it; the tools use it for the strict checks.
+     * @returns {Promise<Object>} The schema
+     */
+    async loadTermSchema() {
+        const response = await this.fetch(`${this.dataPath}${this.schemaFile}`);
+        
+        if (!response.ok) {
+            throw new Error(`Error HTTP ${response.status} al cargar el esquema de términos`);
+        }
+        
+        return this.setTermSchema(await response.json());
+    }
+
+    /**
+     * Use a parsed term schema
+     * @param {Object} schema - Parsed contents of data/term.schema.json
+     * @returns {Object} The schema
+     */
+    setTermSchema(schema) {
+        if (!schema || typeof schema !== 'object' || !schema.items) {
+            throw new Error(`Esquema inválido en ${this.schemaFile}: falta la definición de los términos (items)`);
+        }
+        
+        this.termSchema = schema;
+        return schema;
+    }
+
+    /**
+     * Use a parsed area registry, dropping invalid and repeated entries
+     * @param {Array} data - Parsed contents of data/areas.json
+     * @returns {Array} Valid registry entries
+     */
+    setAreaRegistry(data) {
+        if (!Array.isArray(data)) {
+            throw new Error(`Formato inválido en ${this.registryFile}: se esperaba un array`);
+        }
+        
+        const areas = [];
+        data.forEach((entry, index) => {
+            if (!this.validateAreaEntry(entry)) {
+                this.logger.warn(`Invalid area entry at index ${index} in ${this.registryFile}:`, entry);
+            } else if (areas.some(area => area.id === entry.id)) {
+                this.logger.warn(`Duplicate area id "${entry.id}" at index ${index} in ${this.registryFile}`);
+            } else {
+                areas.push(entry);
+            }
+        });
+        
+        if (areas.length === 0) {
+            throw new Error(`No se encontraron áreas válidas en ${this.registryFile}`);
+        }
+        
+        this.areas = areas;
+        this.academicAreas = areas.map(area => area.id);
+        return areas;
+    }
+
+    /**
+     * Validate an entry of the area registry
+     * id is used in URLs and CSS, so it is limited to lowercase letters,
+     * digits and dashes; file is relative to data/.
+     * @param {Object} entry - Registry entry
+     * @returns {boolean} True if the entry is valid
+     */
+    validateAreaEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return false;
+        }
+        
+        const isText = value => typeof value === 'string' && value.trim().length > 0;
+        
+        if (!isText(entry.id) || !/^[a-z0-9-]+$/.test(entry.id)) {
+            return false;
+        }
+        
+        if (!isText(entry.name) || !isText(entry.file) || !/^[\w.-]+\.json$/.test(entry.file)) {
+            return false;
+        }
+        
+        return ['icon', 'description'].every(field =>
+            entry[field] === undefined || typeof entry[field] === 'string');
+    }
+
+    /**
+     * Get the registry entry of an area
+     * @param {string} area - Area id
+     * @returns {Object|null} Registry entry, or null for unknown areas
+     */
+    getArea(area) {
+        return this.areas.find(entry => entry.id === area) || null;
+    }
+
+    /**
+     * Get the display name of an area
+     * @param {string} area - Area id such as "hosteleria"
+     * @returns {string} Display name such as "Turismo" (the id for unknown areas)
+     */
+    getAreaName(area) {
+        const entry = this.getArea(area);
+        return entry ? entry.name : area;
+    }
+
+    /**
+     * Load data for a specific academic area
+     * @param {string} area - Area id from the registry
+     * @returns {Promise<Array>} Array of terms for the specified area
+     */
+    async loadAreaData(area) {
+        const entry = this.getArea(area);
+        const file = entry ? entry.file : `${area}.json`;
+        
+        try {
+            const response = await this.fetch(`${this.dataPath}${file}`);
+            
+            if (!response.ok) {
+                if (response.status === 404) {
+                    throw new Error(`Archivo de datos no encontrado para el área: ${area}`);
+                } else {
+                    throw new Error(`Error HTTP ${response.status} al cargar datos del área: ${area}`);
+                }
+            }
+
+            const data = await response.json();
+            
+            if (!Array.isArray(data)) {
+                throw new Error(`Formato de datos inválido para el área ${area}: se esperaba un array`);
+            }
+
+            // Validate each term in the data
+            const validTerms = [];
+            data.forEach((term, index) => {
+                const problems = this.getTermProblems(term);
+                if (problems.length === 0) {
+                    validTerms.push(term);
+                } else {
+                    this.logger.warn(
+                        `Invalid term schema at index ${index} in ${file}:`,
+                        problems.map(problem => `${problem.path.join('.') || '(término)'}: ${problem.message}`),
+                        term
+                    );
+                }
+            });
+
+            if (validTerms.length === 0) {
+                throw new Error(`No se encontraron términos válidos en el área: ${area}`);
+            }
+
+            this.logger.log(`Loaded ${validTerms.length} valid terms for area: ${area}`);
+            return validTerms;
+            
+        } catch (error) {
+            if (error instanceof TypeError && error.message.includes('fetch')) {
+                throw new Error(`Error de red al cargar datos del área: ${area}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Validate that a term object can be shown by the app
+     * @param {Object} term - The term object to validate
+     * @returns {boolean} True if the term is valid, false otherwise
+     */
+    validateTermSchema(term) {
+        return this.getTermProblems(term).length === 0;
+    }
+
+    /**
+     * List the problems that keep a term out of the app: a missing or blank
+     * text field among requiredFields, or sinonimos/relacionados that are not
+     * lists of names. This is deliberately more lenient than
+     * data/term.schema.json (categoria and unknown fields are not checked),
+     * so a content slip never hides a term; see getSchemaProblems().
+     * @param {Object} term - The term object to validate
+     * @returns {Array<{path: Array, message: string}>} Problems, empty if the term is valid
+     */
+    getTermProblems(term) {
+        if (!term || typeof term !== 'object' || Array.isArray(term)) {
+            return [{ path: [], message: 'debe ser un objeto' }];
+        }
+
+        const problems = [];
+        this.requiredFields.forEach(field => {
+            if (typeof term[field] !== 'string') {
+                problems.push({ path: [field], message: 'falta el campo obligatorio o no es texto' });
+            } else if (term[field].trim().length === 0) {
+                problems.push({ path: [field], message: 'no puede estar en blanco' });
+            }
+        });
+        this.referenceFields.forEach(field => {
+            if (term[field] !== undefined &&
+                !(Array.isArray(term[field]) && term[field].every(name => typeof name === 'string'))) {
+                problems.push({ path: [field], message: 'debe ser una lista de términos' });
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * List the ways a term breaks the full term schema (data/term.schema.json)
+     * Used by the validation report and the CLI; needs setTermSchema() first.
+     * @param {Object} term - The term object to validate
+     * @returns {Array<{path: Array, message: string}>} Problems, empty if the term is valid
+     */
+    getSchemaProblems(term) {
+        if (!this.termSchema) {
+            throw new Error('El esquema de términos no está cargado');
+        }
+        
+        return SchemaValidator.validate(term, this.termSchema.items);
+    }
+
+    /**
+     * Build the URL slug for a term from its area and termino_formal
+     * @param {Object} term - Term object with area information
+     * @returns {string} Slug such as "informatica-base-de-datos"
+     */
+    createTermSlug(term) {
+        const name = this.slugify(term.termino_formal);
+        return term.area ? `${term.area}-${name}` : name;
+    }
+
+    /**
+     * Convert text into a URL-safe slug
+     * @param {string} text - Text to convert
+     * @returns {string} Lowercase ASCII slug with words joined by dashes
+     */
+    slugify(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Give every term a stable, unique slug
+     * Slugs come from content rather than array position, so reordering a
+     * data file keeps links working. Terms whose area and termino_formal
+     * collide are qualified with their categoria, then their dominicanismo;
+     * a numeric suffix is only a last resort for true duplicates. Every
+     * collision is recorded in duplicateSlugs and reported.
+     * @param {Array} terms - Terms with area information (modified in place)
+     */
+    assignTermSlugs(terms) {
+        this.termsBySlug = new Map();
+        this.slugAliases = new Map();
+        this.duplicateSlugs = [];
+
+        const groups = new Map();
+        terms.forEach(term => {
+            const baseSlug = this.createTermSlug(term);
+            if (!groups.has(baseSlug)) {
+                groups.set(baseSlug, []);
+            }
+            groups.get(baseSlug).push(term);
+        });
+
+        groups.forEach((group, baseSlug) => {
+            if (group.length === 1) {
+                group[0].slug = baseSlug;
+                this.termsBySlug.set(baseSlug, group[0]);
+                return;
+            }
+
+            const qualifiers = [
+                term => this.slugify(term.categoria),
+                term => [this.slugify(term.categoria), this.slugify(term.dominicanismo)].filter(Boolean).join('-')
+            ];
+
+            let slugs = null;
+            for (const qualify of qualifiers) {
+                const candidates = group.map(term => [baseSlug, qualify(term)].filter(Boolean).join('-'));
+                if (new Set(candidates).size === group.length) {
+                    slugs = candidates;
+                    break;
+                }
+            }
+            if (!slugs) {
+                slugs = group.map((term, index) => (index === 0 ? baseSlug : `${baseSlug}-${index + 1}`));
+            }
+
+            group.forEach((term, index) => {
+                term.slug = slugs[index];
+                this.termsBySlug.set(slugs[index], term);
+            });
+
+            // The unqualified slug still resolves, to the first term in file order
+            if (!this.termsBySlug.has(baseSlug)) {
+                this.slugAliases.set(baseSlug, slugs[0]);
+            }
+            this.duplicateSlugs.push({ slug: baseSlug, terms: group.map(term => term.slug) });
+        });
+
+        if (this.duplicateSlugs.length > 0) {
+            this.logger.warn(
+                `Found ${this.duplicateSlugs.length} duplicated term slugs:`,
+                this.duplicateSlugs.map(duplicate => `${duplicate.slug} -> ${duplicate.terms.join(', ')}`)
+            );
+        }
+    }
+
+    /**
+     * Find a loaded term by its slug
+     * @param {string} slug - Term slug (qualified or not)
+     * @returns {Object|null} Term object, or null if no term has that slug
+     */
+    getTermBySlug(slug) {
+        const canonicalSlug = this.slugAliases.get(slug) || slug;
+        return this.termsBySlug.get(canonicalSlug) || null;
+    }
+
+    /**
+     * Index terms by their termino_formal, compared like slugs, so that
+     * sinonimos and relacionados can name them (see resolveTermReference())
+     * @param {Array} terms - Terms with area information
+     */
+    indexTermNames(terms) {
+        this.termsByName = new Map();
+        terms.forEach(term => {
+            const name = this.slugify(term.termino_formal);
+            if (!this.termsByName.has(name)) {
+                this.termsByName.set(name, []);
+            }
+            this.termsByName.get(name).push(term);
+        });
+    }
+
+    /**
+     * Find the term a sinonimos or relacionados entry points to
+     * References are termino_formal values compared like slugs (ignoring
+     * case, accents and punctuation). A name used in several areas resolves
+     * to the entry in the referring term's own area, otherwise to the first
+     * one in registry order. A term never resolves to itself.
+     * @param {string} name - Referenced termino_formal
+     * @param {Object} fromTerm - Term that holds the reference
+     * @returns {Object|null} Referenced term, or null if the reference is broken
+     */
+    resolveTermReference(name, fromTerm) {
+        const candidates = (this.termsByName.get(this.slugify(name)) || []).filter(term => term !== fromTerm);
+        return candidates.find(term => term.area === fromTerm.area) || candidates[0] || null;
+    }
+
+    /**
+     * Get the terms referenced by one of a term's reference fields
+     * @param {Object} term - Term object
+     * @param {string} field - 'sinonimos' or 'relacionados'
+     * @returns {Array} Referenced terms, without broken references or repeats
+     */
+    getTermReferences(term, field) {
+        const references = Array.isArray(term[field]) ? term[field] : [];
+        const resolved = references
+            .map(name => this.resolveTermReference(name, term))
+            .filter(Boolean);
+        return Array.from(new Set(resolved));
+    }
+
+    /**
+     * Record and report references (sinonimos, relacionados) that do not
+     * name any loaded term
+     * @param {Array} terms - Terms with slugs, after indexTermNames()
+     */
+    checkTermReferences(terms) {
+        this.brokenReferences = [];
+
+        terms.forEach(term => {
+            this.referenceFields.forEach(field => {
+                (term[field] || []).forEach(reference => {
+                    if (!this.resolveTermReference(reference, term)) {
+                        this.brokenReferences.push({ slug: term.slug, field, reference });
+                    }
+                });
+            });
+        });
+
+        if (this.brokenReferences.length > 0) {
+            this.logger.warn(
+                `Found ${this.brokenReferences.length} broken term references:`,
+                this.brokenReferences.map(broken => `${broken.slug} ${broken.field} -> "${broken.reference}"`)
+            );
+        }
+    }
+
+    /**
+     * Link the terms that name the same concept
+     * Two terms are equivalent when their termino_formal matches once
+     * compared like slugs (ignoring case, accents and punctuation), or when
+     * one lists the other in its sinonimos. Equivalence is transitive, so a
+     * chain of synonyms forms one group.
+     * @param {Array} terms - Terms with slugs, after indexTermNames()
+     */
+    linkEquivalentTerms(terms) {
+        this.equivalentGroups = new Map();
+
+        // Union-find over positions in the terms array
+        const positions = new Map(terms.map((term, index) => [term, index]));
+        const parents = terms.map((term, index) => index);
+        const find = (index) => {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
+        };
+        const union = (a, b) => {
+            parents[find(a)] = find(b);
+        };
+
+        this.termsByName.forEach(namesakes => {
+            namesakes.forEach(term => union(positions.get(term), positions.get(namesakes[0])));
+        });
+
+        terms.forEach((term, index) => {
+            this.getTermReferences(term, 'sinonimos').forEach(synonym => {
+                if (positions.has(synonym)) {
+                    union(index, positions.get(synonym));
+                }
+            });
+        });
+
+        const groups = new Map();
+        terms.forEach((term, index) => {
+            const root = find(index);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(term);
+        });
+
+        groups.forEach(group => {
+            if (group.length > 1) {
+                group.forEach(term => this.equivalentGroups.set(term.slug, group));
+            }
+        });
+    }
+
+    /**
+     * Get the counterparts of a term in other areas
+     * @param {Object} term - Term with slug and area
+     * @returns {Array} One equivalent term per other area, in registry order
+     */
+    getEquivalentTerms(term) {
+        const group = this.equivalentGroups.get(term.slug) || [];
+        const byArea = new Map();
+        group.forEach(other => {
+            if (other.area !== term.area && !byArea.has(other.area)) {
+                byArea.set(other.area, other);
+            }
+        });
+
+        const areaOrder = area => {
+            const position = this.academicAreas.indexOf(area);
+            return position === -1 ? this.academicAreas.length : position;
+        };
+        return Array.from(byArea.values()).sort((a, b) => areaOrder(a.area) - areaOrder(b.area));
+    }
+
+    /**
+     * Get a key shared by every term that names the same concept
+     * @param {Object} term - Term with slug
+     * @returns {string} Slug of the first term of its equivalence group (its own slug if it has none)
+     */
+    getConceptKey(term) {
+        const group = this.equivalentGroups.get(term.slug);
+        return group ? group[0].slug : term.slug;
+    }
+
+    /**
+     * Get terms for a specific area (from loaded data)
+     * @param {string} area - The academic area name
+     * @returns {Array} Array of terms for the specified area
+     */
+    getAreaTerms(area) {
+        return this.loadedData.get(area) || [];
+    }
+
+    /**
+     * Get all loaded terms
+     * @returns {Array} Array of all loaded terms
+     */
+    getAllTerms() {
+        return this.allTerms;
+    }
+
+    /**
+     * Check if data has been loaded
+     * @returns {boolean} True if data is loaded, false otherwise
+     */
+    isDataLoaded() {
+        return this.allTerms.length > 0;
+    }
+
+    /**
+     * Get loading statistics
+     * @returns {Object} Object with loading statistics
+     */
+    getLoadingStats() {
+        return {
+            totalTerms: this.allTerms.length,
+            loadedAreas: this.loadedData.size,
+            totalAreas: this.academicAreas.length,
+            areasLoaded: Array.from(this.loadedData.keys()),
+            duplicateSlugs: this.duplicateSlugs.length,
+            brokenReferences: this.brokenReferences.length
+        };
+    }
+}
+
+/**
+ * DataValidator builds a full report of the problems in the data files:
+ * registry entries, terms that break data/term.schema.json and repeated
+ * termino_formal values within and across areas. Unlike DataLoader it drops
+ * nothing and stops at nothing, so editors see every problem at once.
+ *
+ * Problems are objects { severity, file, index, field, message }. Repeats
+ * inside one area are errors; the same term in several areas is only a
+ * warning, since areas may legitimately share a concept.
+ */
+class DataValidator {
+    /**
+     * @param {DataLoader} dataLoader - Provides the registry rules, the term schema and slugify()
+     */
+    constructor(dataLoader) {
+        this.dataLoader = dataLoader;
+    }
+
+    /**
+     * Validate the registry, the schema and every area file the registry lists
+     * @param {Function} readJson - Async function (file name inside data/) -> parsed JSON
+     * @returns {Promise<Array>} Problems found, sorted by file and index
+     */
+    async validateAll(readJson) {
+        const loader = this.dataLoader;
+        const problems = [];
+        const read = async (file) => {
+            try {
+                return { data: await readJson(file) };
+            } catch (error) {
+                problems.push(this.createProblem('error', file, null, null, `no se pudo leer: ${error.message}`));
+                return null;
+            }
+        };
+
+        const [registry, schema] = [await read(loader.registryFile), await read(loader.schemaFile)];
+        if (!registry || !schema) {
+            return problems;
+        }
+
+        problems.push(...this.validateRegistry(registry.data));
+        loader.setTermSchema(schema.data);
+
+        // Check the files of the registry entries DataLoader would keep
+        const areas = Array.isArray(registry.data)
+            ? registry.data.filter((entry, index) => loader.validateAreaEntry(entry) &&
+                registry.data.findIndex(other => other && other.id === entry.id) === index)
+            : [];
+
+        const entries = [];
+        for (const area of areas) {
+            const file = await read(area.file);
+            if (file) {
+                problems.push(...this.validateTermFile(area, file.data));
+                if (Array.isArray(file.data)) {
+                    file.data.forEach((term, index) => entries.push({ area, index, term }));
+                }
+            }
+        }
+
+        problems.push(...this.findDuplicates(entries));
+        problems.push(...this.findBrokenReferences(entries));
+
+        // Report file by file in registry order, then by position in the file
+        const fileOrder = [loader.registryFile, loader.schemaFile, ...areas.map(area => area.file)];
+        const rank = problem => [fileOrder.indexOf(problem.file), problem.index === null ? -1 : problem.index];
+        return problems.sort((a, b) => {
+            const [fileA, indexA] = rank(a);
+            const [fileB, indexB] = rank(b);
+            return fileA - fileB || indexA - indexB;
+        });
+    }
+
+    /**
+     * Validate the area registry (data/areas.json)
+     * @param {*} data - Parsed registry
+     * @returns {Array} Problems found
+     */
+    validateRegistry(data) {
+        const file = this.dataLoader.registryFile;
+        if (!Array.isArray(data)) {
+            return [this.createProblem('error', file, null, null, 'debe ser una lista de áreas')];
+        }
+
+        const problems = [];
+        const seen = new Map();
+        data.forEach((entry, index) => {
+            if (!this.dataLoader.validateAreaEntry(entry)) {
+                problems.push(this.createProblem('error', file, index, null,
+                    'entrada inválida: id (minúsculas, números y guiones), name y file (.json) son obligatorios'));
+            } else if (seen.has(entry.id)) {
+                problems.push(this.createProblem('error', file, index, 'id',
+                    `id "${entry.id}" repetido (ya usado en el índice ${seen.get(entry.id)})`));
+            } else {
+                seen.set(entry.id, index);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Validate one area file against the term schema
+     * @param {Object} area - Registry entry of the area
+     * @param {*} data - Parsed file contents
+     * @returns {Array} Problems found
+     */
+    validateTermFile(area, data) {
+        // File-level rules (array, minItems); items are checked one by one below
+        const { items, ...fileSchema } = this.dataLoader.termSchema;
+        const problems = SchemaValidator.validate(data, fileSchema)
+            .map(problem => this.createProblem('error', area.file, null, null, problem.message));
+
+        if (Array.isArray(data)) {
+            data.forEach((term, index) => {
+                this.dataLoader.getSchemaProblems(term).forEach(problem => {
+                    problems.push(this.createProblem('error', area.file, index, problem.path.join('.') || null, problem.message));
+                });
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Find terms whose termino_formal repeats, compared like slugs
+     * (ignoring case, accents and punctuation)
+     * @param {Array<{area: Object, index: number, term: Object}>} entries - Terms of every area
+     * @returns {Array} Problems found: errors within an area, warnings across areas
+     */
+    findDuplicates(entries) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!entry.term || typeof entry.term.termino_formal !== 'string') {
+                return;
+            }
+            const key = this.dataLoader.slugify(entry.term.termino_formal);
+            if (!key) {
+                return;
+            }
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(entry);
+        });
+
+        const problems = [];
+        groups.forEach(group => {
+            group.forEach((entry, position) => {
+                const earlier = group.slice(0, position);
+                const sameArea = earlier.find(other => other.area.id === entry.area.id);
+                if (sameArea) {
+                    problems.push(this.createProblem('error', entry.area.file, entry.index, 'termino_formal',
+                        `"${entry.term.termino_formal}" repetido en la misma área (índice ${sameArea.index})`));
+                } else if (earlier.length > 0) {
+                    const first = earlier[0];
+                    problems.push(this.createProblem('warning', entry.area.file, entry.index, 'termino_formal',
+                        `"${entry.term.termino_formal}" también está en ${first.area.file} (índice ${first.index})`));
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Find sinonimos and relacionados entries that name no term in any area
+     * (the same rule as DataLoader.resolveTermReference())
+     * @param {Array<{area: Object, index: number, term: Object}>} entries - Terms of every area
+     * @returns {Array} Problems found
+     */
+    findBrokenReferences(entries) {
+        const loader = this.dataLoader;
+        const names = new Map();
+        entries.forEach(entry => {
+            if (entry.term && typeof entry.term.termino_formal === 'string') {
+                const name = loader.slugify(entry.term.termino_formal);
+                names.set(name, (names.get(name) || []).concat(entry));
+            }
+        });
+
+        const problems = [];
+        entries.forEach(entry => {
+            if (!entry.term || typeof entry.term !== 'object') {
+                return;
+            }
+            loader.referenceFields.forEach(field => {
+                const references = entry.term[field];
+                if (!Array.isArray(references)) {
+                    return;
+                }
+                references.forEach((reference, position) => {
+                    if (typeof reference !== 'string') {
+                        return;
+                    }
+                    const targets = (names.get(loader.slugify(reference)) || []).filter(other => other !== entry);
+                    if (targets.length === 0) {
+                        const isSelf = loader.slugify(reference) === loader.slugify(entry.term.termino_formal);
+                        problems.push(this.createProblem('error', entry.area.file, entry.index, `${field}.${position}`,
+                            isSelf ? `"${reference}" es el mismo término` : `"${reference}" no corresponde a ningún término`));
+                    }
+                });
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Build a problem record
+     * @returns {{severity: string, file: string, index: ?number, field: ?string, message: string}}
+     */
+    createProblem(severity, file, index, field, message) {
+        return { severity, file, index, field, message };
+    }
+
+    /**
+     * Format a problem as one line of the report
+     * @param {Object} problem - Problem from validateAll()
+     * @returns {string} Line such as "hosteleria.json #4 categoria: falta el campo obligatorio"
+     */
+    static formatProblem(problem) {
+        const location = [
+            problem.file,
+            problem.index === null ? null : `#${problem.index}`,
+            problem.field
+        ].filter(part => part !== null && part !== undefined).join(' ');
+        const label = problem.severity === 'error' ? 'error' : 'aviso';
+        return `${label.padEnd(5)} ${location}: ${problem.message}`;
+    }
+}
+
+export { SchemaValidator, DataLoader, DataValidator };
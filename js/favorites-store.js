@@ -0,0 +1,122 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Favorites module: saved terms ("Mis términos")
+ *
+ * No DOM dependency; storage is injectable (see FavoritesStore) so the
+ * saved list can be tested in test/.
+ */
+
+/**
+ * Saved terms persisted in storage (localStorage in the browser)
+ * Terms are stored by slug, which is derived from area and termino_formal
+ * (see DataLoader.assignTermSlugs()), so saved terms survive reordering of
+ * the data files.
+ */
+class FavoritesStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Storage} options.storage - localStorage-compatible store (defaults to the global localStorage)
+     * @param {string} options.storageKey - Key the saved slugs are stored under
+     * @param {Object} options.logger - Object with a warn method (defaults to console)
+     */
+    constructor({ storage = globalThis.localStorage, storageKey = 'itsc-dictionary-favorites', logger = console } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.logger = logger;
+        this.slugs = this.load();
+    }
+
+    /**
+     * Read the saved slugs from storage
+     * @returns {Set<string>} Saved slugs in the order they were saved
+     */
+    load() {
+        if (!this.storage) {
+            return new Set();
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return new Set(Array.isArray(saved) ? saved.filter(slug => typeof slug === 'string') : []);
+        } catch (error) {
+            this.logger.warn('Could not read saved terms, starting with an empty list:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Write the saved slugs to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(Array.from(this.slugs)));
+        } catch (error) {
+            // Private browsing or a full storage quota; keep the in-memory list
+            this.logger.warn('Could not save terms to localStorage:', error);
+        }
+    }
+
+    /**
+     * Check whether a term is saved
+     * @param {string} slug - Term slug
+     * @returns {boolean} True if saved
+     */
+    has(slug) {
+        return this.slugs.has(slug);
+    }
+
+    /**
+     * Save a term, or remove it if it was already saved
+     * @param {string} slug - Term slug
+     * @returns {boolean} True if the term is saved after the toggle
+     */
+    toggle(slug) {
+        if (this.slugs.has(slug)) {
+            this.slugs.delete(slug);
+        } else {
+            this.slugs.add(slug);
+        }
+        this.save();
+        return this.slugs.has(slug);
+    }
+
+    /**
+     * Get every saved slug
+     * @returns {Array<string>} Saved slugs in the order they were saved
+     */
+    getSlugs() {
+        return Array.from(this.slugs);
+    }
+
+    /**
+     * Resolve the saved slugs to terms
+     * Slugs without a term (an area that failed to load, or a renamed term)
+     * are skipped but kept in storage, so they come back once the term does.
+     * @param {Function} getTermBySlug - Lookup such as DataLoader.getTermBySlug()
+     * @returns {Array} Saved terms in the order they were saved, without repeats
+     */
+    getTerms(getTermBySlug) {
+        const terms = new Set();
+        this.slugs.forEach(slug => {
+            const term = getTermBySlug(slug);
+            if (term) {
+                terms.add(term);
+            }
+        });
+        return Array.from(terms);
+    }
+
+    /**
+     * Number of saved terms
+     * @returns {number} Count of saved slugs
+     */
+    get size() {
+        return this.slugs.size;
+    }
+}
+
+export { FavoritesStore };
@@ -0,0 +1,143 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Quiz module: multiple-choice questions built from the loaded terms
+ *
+ * No DOM dependency; the random source is injectable (see QuizGenerator) so
+ * the tests in test/ can use a seeded one.
+ */
+
+/**
+ * Multiple-choice quiz questions built from the loaded terms
+ * Questions ask for the termino_formal of a dominicanismo ('formal') or the
+ * dominicanismo of a termino_formal ('dominicanismo'). Distractors come from
+ * the same categoria first, then the same area, then the rest of the deck.
+ */
+class QuizGenerator {
+    /**
+     * @param {SearchEngine} searchEngine - Used for text normalization and categorias
+     * @param {Function} random - Random number source in [0, 1), injectable for tests
+     */
+    constructor(searchEngine, random = Math.random) {
+        this.searchEngine = searchEngine;
+        this.random = random;
+        this.optionCount = 4;
+    }
+
+    /**
+     * Build a quiz
+     * @param {Array} terms - Terms to ask about (and to draw distractors from)
+     * @param {Object} options - Quiz options
+     * @param {number} options.count - Number of questions (capped by the usable terms)
+     * @param {string} options.direction - 'formal', 'dominicanismo' or 'mixto'
+     * @returns {Array<Object>} Questions: { term, direction, prompt, options, answerIndex }
+     */
+    generate(terms, { count = 10, direction = 'formal' } = {}) {
+        const questions = [];
+
+        for (const term of this.shuffle(terms)) {
+            if (questions.length >= count) {
+                break;
+            }
+
+            let questionDirection = direction;
+            if (direction === 'mixto') {
+                questionDirection = this.random() < 0.5 ? 'formal' : 'dominicanismo';
+            }
+
+            const question = this.createQuestion(term, questionDirection, terms);
+            if (question) {
+                questions.push(question);
+            }
+        }
+
+        return questions;
+    }
+
+    /**
+     * Build one question for a term
+     * @param {Object} term - Term asked about
+     * @param {string} direction - 'formal' or 'dominicanismo'
+     * @param {Array} terms - Deck to draw distractors from
+     * @returns {Object|null} Question, or null if there are not enough distractors
+     */
+    createQuestion(term, direction, terms) {
+        const answerField = direction === 'formal' ? 'termino_formal' : 'dominicanismo';
+        const promptField = direction === 'formal' ? 'dominicanismo' : 'termino_formal';
+
+        if (!term[answerField] || !term[promptField]) {
+            return null;
+        }
+
+        const distractors = this.pickDistractors(term, answerField, promptField, terms);
+        if (distractors.length < this.optionCount - 1) {
+            return null;
+        }
+
+        const answer = term[answerField];
+        const options = this.shuffle([answer, ...distractors]);
+        const prompt = direction === 'formal'
+            ? `¿Cuál es el término formal de '${term.dominicanismo}'?`
+            : `¿Cuál es el dominicanismo de '${term.termino_formal}'?`;
+
+        return { term, direction, prompt, options, answerIndex: options.indexOf(answer) };
+    }
+
+    /**
+     * Pick wrong answers that look plausible
+     * Candidates that share the prompt text are skipped, since they would
+     * also be a correct answer.
+     * @param {Object} term - Term asked about
+     * @param {string} answerField - Field the options are taken from
+     * @param {string} promptField - Field shown in the question
+     * @param {Array} terms - Deck to draw distractors from
+     * @returns {Array<string>} Up to optionCount - 1 distractors
+     */
+    pickDistractors(term, answerField, promptField, terms) {
+        const normalize = text => this.searchEngine.normalizeText(text || '');
+        const categoria = this.searchEngine.getTermCategoria(term);
+        const prompt = normalize(term[promptField]);
+        const used = new Set([normalize(term[answerField])]);
+        const distractors = [];
+
+        const sameArea = terms.filter(other => other.area === term.area);
+        const tiers = [
+            sameArea.filter(other => this.searchEngine.getTermCategoria(other) === categoria),
+            sameArea,
+            terms
+        ];
+
+        for (const tier of tiers) {
+            for (const candidate of this.shuffle(tier)) {
+                if (distractors.length >= this.optionCount - 1) {
+                    return distractors;
+                }
+
+                const option = normalize(candidate[answerField]);
+                if (!option || used.has(option) || normalize(candidate[promptField]) === prompt) {
+                    continue;
+                }
+
+                used.add(option);
+                distractors.push(candidate[answerField]);
+            }
+        }
+
+        return distractors;
+    }
+
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+export { QuizGenerator };
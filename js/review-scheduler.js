@@ -0,0 +1,186 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Study module: SM-2 spaced-repetition scheduling for the flashcard mode
+ *
+ * No DOM dependency; storage is injectable (see ReviewScheduler) so the
+ * scheduling can run in the tests in test/.
+ */
+
+/**
+ * Flashcard review scheduling with the SM-2 spaced-repetition algorithm
+ * Review state is kept per term slug in storage (localStorage in the browser):
+ * { repetitions, interval (days), easeFactor, due and lastReview (YYYY-MM-DD) }.
+ */
+class ReviewScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {Storage} options.storage - localStorage-compatible store (defaults to the global localStorage)
+     * @param {string} options.storageKey - Key the review states are saved under
+     * @param {Object} options.logger - Object with a warn method (defaults to console)
+     */
+    constructor({ storage = globalThis.localStorage, storageKey = 'itsc-dictionary-study', logger = console } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.logger = logger;
+        this.defaultEaseFactor = 2.5;
+        this.minimumEaseFactor = 1.3;
+        this.states = this.load();
+    }
+
+    /**
+     * Read the review states from storage
+     * @returns {Object} Map of slug to review state
+     */
+    load() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            this.logger.warn('Could not read study progress, starting from scratch:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the review states to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.states));
+        } catch (error) {
+            this.logger.warn('Could not save study progress to localStorage:', error);
+        }
+    }
+
+    /**
+     * Get the review state of a term
+     * @param {string} slug - Term slug
+     * @returns {Object|null} Review state, or null if the term was never reviewed
+     */
+    getState(slug) {
+        return this.states[slug] || null;
+    }
+
+    /**
+     * Compute the next review state (SM-2)
+     * Grades below 3 restart the repetitions without changing the ease factor;
+     * otherwise the interval grows 1 day, 6 days, then by the ease factor.
+     * @param {Object|null} state - Current review state
+     * @param {number} quality - Recall grade from 0 (forgot) to 5 (perfect)
+     * @returns {{repetitions: number, interval: number, easeFactor: number}} Next state
+     */
+    schedule(state, quality) {
+        let repetitions = state ? state.repetitions : 0;
+        let interval = state ? state.interval : 0;
+        let easeFactor = state ? state.easeFactor : this.defaultEaseFactor;
+
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+        } else {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+            repetitions += 1;
+
+            const penalty = 5 - quality;
+            easeFactor = Math.max(this.minimumEaseFactor, easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02)));
+        }
+
+        return { repetitions, interval, easeFactor: Math.round(easeFactor * 100) / 100 };
+    }
+
+    /**
+     * Record a review and schedule the next one
+     * @param {string} slug - Term slug
+     * @param {number} quality - Recall grade from 0 to 5
+     * @param {string} today - Day of the review (see getDayKey())
+     * @returns {Object} The new review state
+     */
+    review(slug, quality, today = ReviewScheduler.getDayKey()) {
+        const next = this.schedule(this.getState(slug), quality);
+        this.states[slug] = {
+            ...next,
+            due: ReviewScheduler.addDays(today, next.interval),
+            lastReview: today
+        };
+        this.save();
+        return this.states[slug];
+    }
+
+    /**
+     * Check whether a reviewed term is due
+     * @param {string} slug - Term slug
+     * @param {string} today - Day to check (see getDayKey())
+     * @returns {boolean} True if the term was reviewed before and is due today or earlier
+     */
+    isDue(slug, today = ReviewScheduler.getDayKey()) {
+        const state = this.getState(slug);
+        return Boolean(state) && state.due <= today;
+    }
+
+    /**
+     * Count the terms that are due ("para repasar hoy")
+     * @param {Array} terms - Terms with slugs
+     * @param {string} today - Day to check (see getDayKey())
+     * @returns {number} Number of due terms
+     */
+    getDueCount(terms, today = ReviewScheduler.getDayKey()) {
+        return terms.filter(term => this.isDue(term.slug, today)).length;
+    }
+
+    /**
+     * Pick the cards for a study session: due terms (most overdue first),
+     * then terms never reviewed, up to newLimit
+     * @param {Array} terms - Terms in the deck
+     * @param {Object} options - Session options
+     * @param {number} options.newLimit - Maximum number of new terms
+     * @param {string} options.today - Day of the session (see getDayKey())
+     * @returns {Array} Terms in study order
+     */
+    buildQueue(terms, { newLimit = 20, today = ReviewScheduler.getDayKey() } = {}) {
+        const due = terms
+            .filter(term => this.isDue(term.slug, today))
+            .sort((a, b) => this.getState(a.slug).due.localeCompare(this.getState(b.slug).due));
+        const fresh = terms
+            .filter(term => !this.getState(term.slug))
+            .slice(0, newLimit);
+        return [...due, ...fresh];
+    }
+
+    /**
+     * Get a local calendar day as YYYY-MM-DD (sorts as a string)
+     * @param {Date} date - Date to convert
+     * @returns {string} Day key
+     */
+    static getDayKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Add days to a day key
+     * @param {string} dayKey - Day as YYYY-MM-DD
+     * @param {number} days - Days to add
+     * @returns {string} Resulting day key
+     */
+    static addDays(dayKey, days) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return ReviewScheduler.getDayKey(new Date(year, month - 1, day + days));
+    }
+}
+
+export { ReviewScheduler };
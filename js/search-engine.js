@@ -0,0 +1,1390 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Search module: query parsing and ranked, typo-tolerant term search
+ *
+ * No DOM dependency; imported by app.js, tools/ and the tests in test/.
+ */
+
+/**
+ * Error raised when a search query cannot be parsed
+ */
+class QuerySyntaxError extends Error {
+    /**
+     * @param {string} message - User-facing description of the problem (Spanish)
+     * @param {number} position - Character offset in the query where the problem was found
+     */
+    constructor(message, position = 0) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * QueryParser turns search box input into a query tree for SearchEngine
+ *
+ * Supported syntax:
+ *   base de datos          consecutive words are searched together (typo tolerant)
+ *   "base de datos"        quoted phrase, matched literally
+ *   -relacional            excludes terms that match the word
+ *   red OR servidor        either side may match ("|" also works)
+ *   (red OR wifi) -cable   parentheses group expressions
+ *   def:servidor           limits the following words, phrase or group to one field
+ *
+ * Tree nodes are { type: 'term', text, phrase, fields }, { type: 'not', operand },
+ * { type: 'and', operands } and { type: 'or', operands }.
+ */
+class QueryParser {
+    /**
+     * @param {Function} resolveField - Maps a scope alias such as "def" to a field name, or null if unknown
+     */
+    constructor(resolveField = () => null) {
+        this.resolveField = resolveField;
+    }
+
+    /**
+     * Parse a query into a tree
+     * @param {string} query - Raw search query
+     * @returns {Object|null} Query tree, or null if the query is empty
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    parse(query) {
+        const state = {
+            tokens: this.tokenize(query),
+            index: 0,
+            depth: 0
+        };
+
+        if (state.tokens.length === 0) {
+            return null;
+        }
+
+        const tree = this.parseOr(state, null);
+
+        // parseOr only stops early on a ")" that has no matching "("
+        if (state.index < state.tokens.length) {
+            throw new QuerySyntaxError('Hay un paréntesis de cierre ")" sin su apertura.', state.tokens[state.index].position);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Split a query into tokens
+     * @param {string} query - Raw search query
+     * @returns {Array<Object>} Tokens with type, position and (for words and phrases) text
+     * @throws {QuerySyntaxError} If a phrase is unterminated or empty
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const char = query[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'open' : 'close', position: i });
+                i++;
+            } else if (char === '|') {
+                tokens.push({ type: 'or', position: i });
+                i++;
+            } else if (char === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QuerySyntaxError('Falta cerrar las comillas de la frase.', i);
+                }
+                const text = query.slice(i + 1, end);
+                if (text.trim().length === 0) {
+                    throw new QuerySyntaxError('La frase entre comillas está vacía.', i);
+                }
+                tokens.push({ type: 'phrase', text, position: i });
+                i = end + 1;
+            } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+                // A dash only negates when it is glued to what follows, so
+                // "Cliente-Servidor" and "a - b" are searched as typed
+                tokens.push({ type: 'not', position: i });
+                i++;
+            } else {
+                let end = i;
+                while (end < query.length && !/[\s()"|]/.test(query[end])) {
+                    end++;
+                }
+                this.pushWordTokens(tokens, query.slice(i, end), i);
+                i = end;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Add the tokens for a bare word, recognizing OR and field scopes
+     * @param {Array<Object>} tokens - Token list to append to
+     * @param {string} word - Word without whitespace, parentheses or quotes
+     * @param {number} position - Offset of the word in the query
+     */
+    pushWordTokens(tokens, word, position) {
+        if (word === 'OR') {
+            tokens.push({ type: 'or', position });
+            return;
+        }
+
+        const separator = word.indexOf(':');
+        const field = separator > 0 ? this.resolveField(word.slice(0, separator)) : null;
+
+        // Unknown prefixes such as "http:" are searched as plain text
+        if (!field) {
+            tokens.push({ type: 'word', text: word, position });
+            return;
+        }
+
+        tokens.push({ type: 'field', field, alias: word.slice(0, separator), position });
+        const rest = word.slice(separator + 1);
+        if (rest.length > 0) {
+            tokens.push({ type: 'word', text: rest, position: position + separator + 1 });
+        }
+    }
+
+    /**
+     * orExpr := andExpr ( OR andExpr )*
+     */
+    parseOr(state, fields) {
+        const operands = [this.parseAnd(state, fields)];
+
+        while (this.peek(state, 'or')) {
+            const orToken = state.tokens[state.index++];
+            if (this.isAtExpressionEnd(state)) {
+                throw new QuerySyntaxError('Falta un término después de OR.', orToken.position);
+            }
+            operands.push(this.parseAnd(state, fields));
+        }
+
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    /**
+     * andExpr := unary+ (terms side by side must all match)
+     */
+    parseAnd(state, fields) {
+        const firstToken = state.tokens[state.index];
+        const operands = [];
+
+        while (!this.isAtExpressionEnd(state)) {
+            operands.push(this.parseUnary(state, fields));
+        }
+
+        if (operands.length === 0) {
+            const token = state.tokens[state.index];
+            if (!token) {
+                throw new QuerySyntaxError('Falta un término para completar la búsqueda.', state.tokens[state.tokens.length - 1].position);
+            }
+            if (token.type === 'or') {
+                throw new QuerySyntaxError('Falta un término antes de OR.', token.position);
+            }
+            if (state.depth > 0) {
+                throw new QuerySyntaxError('Los paréntesis están vacíos.', token.position);
+            }
+            throw new QuerySyntaxError('Hay un paréntesis de cierre ")" sin su apertura.', token.position);
+        }
+
+        if (operands.every(operand => operand.type === 'not')) {
+            throw new QuerySyntaxError('Una exclusión con "-" debe acompañar a otro término.', firstToken.position);
+        }
+
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    /**
+     * unary := "-" unary | primary
+     */
+    parseUnary(state, fields) {
+        if (!this.peek(state, 'not')) {
+            return this.parsePrimary(state, fields);
+        }
+
+        const notToken = state.tokens[state.index++];
+        if (this.isAtExpressionEnd(state)) {
+            throw new QuerySyntaxError('Falta el término a excluir después de "-".', notToken.position);
+        }
+
+        const operand = this.parseUnary(state, fields);
+
+        // "--red" is just "red"
+        return operand.type === 'not' ? operand.operand : { type: 'not', operand };
+    }
+
+    /**
+     * primary := "(" orExpr ")" | field ":" primary | phrase | word+
+     */
+    parsePrimary(state, fields) {
+        const token = state.tokens[state.index++];
+
+        switch (token.type) {
+            case 'open': {
+                state.depth++;
+                const inner = this.parseOr(state, fields);
+                if (!this.peek(state, 'close')) {
+                    throw new QuerySyntaxError('Falta cerrar un paréntesis.', token.position);
+                }
+                state.index++;
+                state.depth--;
+                return inner;
+            }
+            case 'field': {
+                if (this.isAtExpressionEnd(state) || this.peek(state, 'not')) {
+                    throw new QuerySyntaxError(`Falta el texto a buscar después de "${token.alias}:".`, token.position);
+                }
+                return this.parsePrimary(state, [token.field]);
+            }
+            case 'phrase':
+                return { type: 'term', text: token.text, phrase: true, fields };
+            default: {
+                // Consecutive words form a single typo-tolerant term, which
+                // keeps plain queries such as "base de datos" working as before
+                const words = [token.text];
+                while (this.peek(state, 'word')) {
+                    words.push(state.tokens[state.index++].text);
+                }
+                return { type: 'term', text: words.join(' '), phrase: false, fields };
+            }
+        }
+    }
+
+    /**
+     * Check the type of the next token without consuming it
+     */
+    peek(state, type) {
+        const token = state.tokens[state.index];
+        return Boolean(token) && token.type === type;
+    }
+
+    /**
+     * True when the next token cannot start a new operand
+     */
+    isAtExpressionEnd(state) {
+        return state.index >= state.tokens.length || this.peek(state, 'or') || this.peek(state, 'close');
+    }
+}
+
+/**
+ * Common Spanish words that say nothing about which term a description is
+ * for (normalized, see SearchEngine.normalizeText())
+ */
+const DESCRIPTION_STOP_WORDS = new Set([
+    'que', 'para', 'por', 'con', 'sin', 'los', 'las', 'del', 'una', 'uno', 'unos', 'unas',
+    'como', 'cuando', 'donde', 'esta', 'este', 'esto', 'ese', 'esa', 'eso', 'son', 'hay',
+    'sus', 'mas', 'muy', 'entre', 'sobre', 'desde', 'hasta', 'cosa', 'algo', 'sirve',
+    'sirven', 'usa', 'usan', 'se', 'le', 'les', 'lo', 'al', 'el', 'la', 'de', 'en', 'y', 'o'
+]);
+
+/**
+ * SearchEngine class handles searching and filtering of terms
+ */
+class SearchEngine {
+    constructor(terms = []) {
+        this.terms = terms;
+        this.searchDebounceTimeout = null;
+        this.searchDebounceDelay = 300; // 300ms delay for debouncing
+
+        // Searchable fields, in ranking order. A hit in a field with a lower
+        // weight never outranks the same kind of hit in a field above it.
+        // Opt-in fields are only searched in full-text mode or when a query
+        // is scoped to them with one of their aliases (e.g. "def:servidor").
+        this.searchFields = [
+            { name: 'termino_formal', weight: 1, optIn: false, aliases: ['termino', 'formal'] },
+            { name: 'dominicanismo', weight: 0.9, optIn: false, aliases: ['jerga', 'dominicanismo', 'dom'] },
+            { name: 'categoria', weight: 0.7, optIn: true, aliases: ['cat', 'categoria'] },
+            { name: 'definicion', weight: 0.6, optIn: true, aliases: ['def', 'definicion'] },
+            { name: 'ejemplo_uso', weight: 0.5, optIn: true, aliases: ['ej', 'ejemplo'] }
+        ];
+
+        // Base score for each kind of match, before the field weight is applied
+        this.matchScores = {
+            exact: 100,
+            prefix: 80,
+            'word-prefix': 70,
+            substring: 60,
+            fuzzy: 50
+        };
+
+        // Points subtracted from a fuzzy match for every edit it needs
+        this.fuzzyPenalty = 10;
+
+        this.queryParser = new QueryParser(alias => {
+            const field = this.findFieldByAlias(alias);
+            return field ? field.name : null;
+        });
+
+        this.index = null;
+        this.buildIndex();
+    }
+
+    /**
+     * Update the terms dataset and rebuild the search index
+     * @param {Array} terms - Array of term objects
+     */
+    updateTerms(terms) {
+        this.terms = terms;
+        this.buildIndex();
+    }
+
+    /**
+     * Build the inverted token index used by search()
+     * Every searchable field is normalized once here instead of on every
+     * keystroke. Each whitespace-separated token maps, per field, to the
+     * entries that contain it, and every suffix of every token is kept in a
+     * sorted list so "tokens containing X" becomes a binary-searched prefix
+     * lookup.
+     */
+    buildIndex() {
+        const entries = [];
+        const postings = new Map();
+
+        this.terms.forEach((term, id) => {
+            const fields = this.searchFields.map(field => this.normalizeText(term[field.name] || ''));
+            entries.push({ id, term, fields });
+
+            fields.forEach((fieldText, position) => {
+                if (fieldText.length === 0) {
+                    return;
+                }
+                fieldText.split(/\s+/).forEach(token => {
+                    if (!postings.has(token)) {
+                        postings.set(token, this.searchFields.map(() => new Set()));
+                    }
+                    postings.get(token)[position].add(id);
+                });
+            });
+        });
+
+        const suffixes = [];
+        postings.forEach((ids, token) => {
+            for (let start = 0; start < token.length; start++) {
+                suffixes.push({ suffix: token.slice(start), token });
+            }
+        });
+        suffixes.sort((a, b) => (a.suffix < b.suffix ? -1 : a.suffix > b.suffix ? 1 : 0));
+
+        // Word lists for spelling corrections, built on demand (see getVocabulary())
+        const vocabularies = new Map();
+
+        this.index = { entries, postings, suffixes, vocabularies };
+    }
+
+    /**
+     * Find every indexed token that contains a fragment
+     * @param {string} fragment - Normalized text without whitespace
+     * @returns {Set<string>} Matching tokens
+     */
+    findTokensContaining(fragment) {
+        const { suffixes } = this.index;
+        const tokens = new Set();
+
+        // Binary search for the first suffix that is >= fragment
+        let low = 0;
+        let high = suffixes.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (suffixes[middle].suffix < fragment) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        for (let i = low; i < suffixes.length && suffixes[i].suffix.startsWith(fragment); i++) {
+            tokens.add(suffixes[i].token);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Find the ids of entries that have a token containing a fragment
+     * @param {string} fragment - Normalized text without whitespace
+     * @param {Array<number>} fieldPositions - Positions in searchFields to look in
+     * @returns {Set<number>} Entry ids
+     */
+    findEntriesContaining(fragment, fieldPositions) {
+        const ids = new Set();
+        this.findTokensContaining(fragment).forEach(token => {
+            const fieldPostings = this.index.postings.get(token);
+            fieldPositions.forEach(position => {
+                fieldPostings[position].forEach(id => ids.add(id));
+            });
+        });
+        return ids;
+    }
+
+    /**
+     * Collect the entries that could possibly match a query
+     * The query is cut into maxDistance + 1 pieces. A match with at most
+     * maxDistance edits leaves at least one piece untouched, so that piece
+     * must appear verbatim in the field, and every whitespace-free part of it
+     * must appear inside a single token. With no typos allowed this reduces
+     * to "every query word is contained in some token".
+     * @param {string} normalizedQuery - Query passed through normalizeText
+     * @param {Array<number>} fieldPositions - Positions in searchFields to look in
+     * @param {boolean} allowFuzzy - Whether typo-tolerant matches are wanted
+     * @returns {Array<Object>} Candidate index entries, in dataset order
+     */
+    getCandidateEntries(normalizedQuery, fieldPositions, allowFuzzy = true) {
+        const pieceCount = (allowFuzzy ? this.getMaxEditDistance(normalizedQuery) : 0) + 1;
+        const pieceLength = Math.ceil(normalizedQuery.length / pieceCount);
+        const candidateIds = new Set();
+
+        for (let start = 0; start < normalizedQuery.length; start += pieceLength) {
+            const fragments = normalizedQuery.slice(start, start + pieceLength).split(/\s+/).filter(Boolean);
+
+            // A piece made only of whitespace cannot narrow anything down
+            if (fragments.length === 0) {
+                return this.index.entries;
+            }
+
+            let pieceIds = null;
+            for (const fragment of fragments) {
+                const fragmentIds = this.findEntriesContaining(fragment, fieldPositions);
+                pieceIds = pieceIds === null
+                    ? fragmentIds
+                    : new Set([...pieceIds].filter(id => fragmentIds.has(id)));
+                if (pieceIds.size === 0) {
+                    break;
+                }
+            }
+            pieceIds.forEach(id => candidateIds.add(id));
+        }
+
+        return Array.from(candidateIds)
+            .sort((a, b) => a - b)
+            .map(id => this.index.entries[id]);
+    }
+
+    /**
+     * Perform real-time ranked search across terms
+     * Exact and prefix matches rank above substring matches, and those rank
+     * above typo-tolerant (fuzzy) matches. Within the same kind of match,
+     * termino_formal hits rank above dominicanismo hits, and those above the
+     * opt-in fields (categoria, definicion, ejemplo_uso).
+     * Queries may use the QueryParser syntax: quoted phrases, "-" to exclude,
+     * OR, parentheses and field scopes such as `def:servidor`.
+     * @param {string} query - Search query string
+     * @param {Object} options - Search options
+     * @param {boolean} options.fullText - Also search the opt-in fields
+     * @returns {Array<{term: Object, score: number, field: string, matchType: string, distance: number}>}
+     *          Matching results sorted by descending score
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    search(query, options = {}) {
+        const queryTree = this.parseQuery(query);
+        if (!queryTree) {
+            return [];
+        }
+
+        return this.runQuery(queryTree, options, (text, fieldPositions, allowFuzzy) => {
+            const matches = new Map();
+            this.getCandidateEntries(text, fieldPositions, allowFuzzy).forEach(entry => {
+                const match = this.scoreTerm(entry.term, text, entry.fields, fieldPositions, allowFuzzy);
+                if (match) {
+                    matches.set(entry.id, match);
+                }
+            });
+            return matches;
+        });
+    }
+
+    /**
+     * Reference implementation of search() that scans every term
+     * Kept so the index can be checked and benchmarked against it
+     * (see tools/search-benchmark.js).
+     * @param {string} query - Search query string
+     * @param {Object} options - Same options as search()
+     * @returns {Array} Matching results sorted by descending score
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    linearSearch(query, options = {}) {
+        const queryTree = this.parseQuery(query);
+        if (!queryTree) {
+            return [];
+        }
+
+        return this.runQuery(queryTree, options, (text, fieldPositions, allowFuzzy) => {
+            const matches = new Map();
+            this.terms.forEach((term, id) => {
+                const match = this.scoreTerm(term, text, null, fieldPositions, allowFuzzy);
+                if (match) {
+                    matches.set(id, match);
+                }
+            });
+            return matches;
+        });
+    }
+
+    /**
+     * Suggest terms for the search box autocomplete
+     * Unlike search() the text is taken literally (no query syntax) and only
+     * verbatim matches in termino_formal or dominicanismo count, so every
+     * suggestion has a part to highlight. Ranking follows scoreTerm():
+     * prefix before word-prefix before substring, formal term before
+     * dominicanismo, then alphabetical.
+     * @param {string} text - Raw text from the search box
+     * @param {Object} options - Suggestion options
+     * @param {number} options.limit - Maximum number of suggestions
+     * @param {string|null} options.area - Only suggest terms from this area
+     * @returns {Array<{term: Object, field: string, ranges: Array<{start: number, end: number}>}>}
+     *          At most one suggestion per term, best first
+     */
+    suggest(text, { limit = 8, area = null } = {}) {
+        const query = this.normalizeText(text).replace(/\s+/g, ' ');
+        if (query.length === 0) {
+            return [];
+        }
+
+        const fieldPositions = this.getFieldPositions(null);
+        const suggestions = [];
+
+        this.getCandidateEntries(query, fieldPositions, false).forEach(entry => {
+            if (area && entry.term.area !== area) {
+                return;
+            }
+            const match = this.scoreTerm(entry.term, query, entry.fields, fieldPositions, false);
+            if (match) {
+                suggestions.push({
+                    term: entry.term,
+                    field: match.field,
+                    score: match.score,
+                    ranges: this.findMatchRanges(entry.term[match.field], query)
+                });
+            }
+        });
+
+        return suggestions
+            .sort((a, b) => b.score - a.score ||
+                a.term[a.field].localeCompare(b.term[b.field], 'es'))
+            .slice(0, limit)
+            .map(({ term, field, ranges }) => ({ term, field, ranges }));
+    }
+
+    /**
+     * Locate a normalized query inside the original text
+     * The match is found on the normalized text and mapped back to the
+     * original characters, so "aplicacion" covers all of "aplicación".
+     * @param {string} text - Original field value
+     * @param {string} query - Query passed through normalizeText
+     * @returns {Array<{start: number, end: number}>} Non-overlapping ranges in text, in order
+     */
+    findMatchRanges(text, query) {
+        if (!text || typeof text !== 'string' || !query) {
+            return [];
+        }
+
+        // offsets[i] is the position in text of the character behind normalized[i]
+        let normalized = '';
+        const offsets = [];
+        let offset = 0;
+        for (const character of text) {
+            const folded = character.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            for (let i = 0; i < folded.length; i++) {
+                offsets.push(offset);
+            }
+            normalized += folded;
+            offset += character.length;
+        }
+        offsets.push(text.length);
+
+        const ranges = [];
+        let position = normalized.indexOf(query);
+        while (position !== -1) {
+            const end = position + query.length;
+            ranges.push({ start: offsets[position], end: offsets[end] });
+            position = normalized.indexOf(query, end);
+        }
+        return ranges;
+    }
+
+    /**
+     * List what a query looks for, so matches can be highlighted
+     * Every phrase or run of words that is not excluded becomes one entry,
+     * with the fields it was searched in. Malformed queries highlight nothing.
+     * @param {string} query - Search query string
+     * @param {Object} options - Search options (see search())
+     * @returns {Array<{text: string, fields: Array<string>}>} Normalized texts and field names
+     */
+    getHighlightTerms(query, options = {}) {
+        let queryTree = null;
+        try {
+            queryTree = this.parseQuery(query);
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) {
+                throw error;
+            }
+        }
+
+        const highlightTerms = [];
+        const collect = node => {
+            if (!node || node.type === 'not') {
+                return;
+            }
+            if (node.type === 'term') {
+                const text = this.normalizeText(node.text);
+                if (text.length > 0) {
+                    const fields = this.getFieldPositions(node.fields, options)
+                        .map(position => this.searchFields[position].name);
+                    highlightTerms.push({ text, fields });
+                }
+                return;
+            }
+            node.operands.forEach(collect);
+        };
+        collect(queryTree);
+
+        return highlightTerms;
+    }
+
+    /**
+     * Find the parts of a field value to highlight for a query
+     * A text that appears as typed is highlighted whole. Otherwise, as with
+     * typo-tolerant matches of several words, its words of three or more
+     * letters are highlighted one by one wherever they appear.
+     * @param {string} text - Original field value
+     * @param {string} fieldName - Field the value comes from
+     * @param {Array<Object>} highlightTerms - Result of getHighlightTerms()
+     * @returns {Array<{start: number, end: number}>} Sorted, non-overlapping ranges in text
+     */
+    findHighlightRanges(text, fieldName, highlightTerms) {
+        const ranges = [];
+
+        highlightTerms
+            .filter(highlightTerm => highlightTerm.fields.includes(fieldName))
+            .forEach(({ text: query }) => {
+                const wholeRanges = this.findMatchRanges(text, query);
+                if (wholeRanges.length > 0) {
+                    ranges.push(...wholeRanges);
+                    return;
+                }
+                const words = query.split(/\s+/);
+                if (words.length > 1) {
+                    words
+                        .filter(word => word.length >= 3)
+                        .forEach(word => ranges.push(...this.findMatchRanges(text, word)));
+                }
+            });
+
+        // Merge overlapping ranges from different query terms
+        ranges.sort((a, b) => a.start - b.start || a.end - b.end);
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Check whether a query is plain text, without QueryParser syntax
+     * @param {string} query - Raw query
+     * @returns {boolean} False if the query uses phrases, exclusions, OR, groups or field scopes
+     */
+    isPlainQuery(query) {
+        return !/["():]|(^|\s)-|\bOR\b/.test(query);
+    }
+
+    /**
+     * Look for ways out of a search that found nothing
+     * Only plain-text queries get alternatives; a query using the search
+     * syntax is taken as meant.
+     * - corrections: the query with misspelled words replaced by words from
+     *   the dictionary's own vocabulary, kept only if they find something
+     * - closestTerms: the formal terms or dominicanismos nearest to the query
+     *   by edit distance, beyond the typos search() already tolerates
+     * - definitionMatches: when the query has several words and the opt-in
+     *   fields were not searched, the terms whose definicion or ejemplo_uso
+     *   share the most words with it; several words that name no term are
+     *   most likely a half-remembered description
+     * @param {string} query - Raw query that returned no results
+     * @param {Object} options - Options
+     * @param {boolean} options.fullText - Whether the failed search included the opt-in fields
+     * @param {string|null} options.area - Only consider terms from this area
+     * @param {number} options.limit - Maximum number of items in each list
+     * @returns {{corrections: Array<{query: string, count: number}>, closestTerms: Array<{term: Object, field: string, distance: number}>, definitionMatches: Array<Object>}}
+     */
+    findAlternatives(query, { fullText = false, area = null, limit = 5 } = {}) {
+        const alternatives = { corrections: [], closestTerms: [], definitionMatches: [] };
+        const words = this.normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean);
+        if (words.length === 0 || !this.isPlainQuery(query)) {
+            return alternatives;
+        }
+
+        const inArea = result => !area || result.term.area === area;
+        const searchOptions = { fullText };
+
+        alternatives.corrections = this.findCorrections(words, this.getFieldPositions(null, searchOptions))
+            .map(correction => ({
+                query: correction,
+                count: this.search(correction, searchOptions).filter(inArea).length
+            }))
+            .filter(correction => correction.count > 0)
+            .slice(0, limit);
+
+        // Below four letters almost every short word is "close"
+        const closestQuery = words.join(' ');
+        if (closestQuery.length >= 4) {
+            alternatives.closestTerms = this.findClosestTerms(closestQuery, area).slice(0, limit);
+        }
+
+        if (words.length > 1 && !fullText) {
+            alternatives.definitionMatches = this.findDefinitionMatches(words)
+                .filter(inArea)
+                .slice(0, limit);
+        }
+
+        return alternatives;
+    }
+
+    /**
+     * Build corrected versions of a query from the index vocabulary
+     * The first correction replaces every unknown word with its closest
+     * known word; the following ones each swap a single word for a less
+     * likely candidate.
+     * @param {Array<string>} words - Normalized query words
+     * @param {Array<number>} fieldPositions - Positions in searchFields whose words count as known
+     * @returns {Array<string>} Distinct corrected queries, most likely first
+     */
+    findCorrections(words, fieldPositions) {
+        const vocabulary = this.getVocabulary(fieldPositions);
+        const candidatesPerWord = words.map(word => {
+            if (vocabulary.has(word) || word.length < 3) {
+                return [];
+            }
+
+            const maxDistance = Math.max(1, this.getMaxEditDistance(word));
+            const candidates = [];
+            vocabulary.forEach((entry, known) => {
+                // Suggesting "de" or "que" never helps
+                if (known.length < 3 || DESCRIPTION_STOP_WORDS.has(known)) {
+                    return;
+                }
+                const distance = this.editDistance(word, known, maxDistance);
+                if (distance <= maxDistance) {
+                    candidates.push({ form: entry.form, distance, count: entry.count });
+                }
+            });
+            return candidates
+                .sort((a, b) => a.distance - b.distance || b.count - a.count)
+                .slice(0, 3);
+        });
+
+        if (candidatesPerWord.every(candidates => candidates.length === 0)) {
+            return [];
+        }
+
+        // Known words are shown the way the dictionary writes them
+        const bestWords = words.map((word, position) => {
+            const candidates = candidatesPerWord[position];
+            if (candidates.length > 0) {
+                return candidates[0].form;
+            }
+            return vocabulary.has(word) ? vocabulary.get(word).form : word;
+        });
+
+        const corrections = new Set([bestWords.join(' ')]);
+        candidatesPerWord.forEach((candidates, position) => {
+            candidates.slice(1).forEach(candidate => {
+                const variant = bestWords.slice();
+                variant[position] = candidate.form;
+                corrections.add(variant.join(' '));
+            });
+        });
+
+        return Array.from(corrections);
+    }
+
+    /**
+     * Rank terms by how many of a description's words their definicion or
+     * ejemplo_uso contain
+     * Words under four letters and very common words are ignored because
+     * they turn up inside too many unrelated words. A term must contain at
+     * least half of the remaining words, so a paraphrase still finds it
+     * where search() would need every word.
+     * @param {Array<string>} words - Normalized query words
+     * @returns {Array<Object>} Results like search() returns, best first
+     */
+    findDefinitionMatches(words) {
+        const contentWords = Array.from(new Set(words))
+            .filter(word => word.length > 3 && !DESCRIPTION_STOP_WORDS.has(word));
+        if (contentWords.length === 0) {
+            return [];
+        }
+
+        const matches = new Map();
+        contentWords.forEach(word => {
+            this.search(`def:${word} OR ej:${word}`).forEach(result => {
+                const match = matches.get(result.term) || { result, words: 0, score: 0 };
+                match.words += 1;
+                match.score += result.score;
+                matches.set(result.term, match);
+            });
+        });
+
+        const minWords = Math.ceil(contentWords.length / 2);
+        return Array.from(matches.values())
+            .filter(match => match.words >= minWords)
+            .sort((a, b) => b.words - a.words || b.score - a.score)
+            .map(match => match.result);
+    }
+
+    /**
+     * Find the terms whose formal term or dominicanismo is nearest to a query
+     * @param {string} query - Normalized query
+     * @param {string|null} area - Only consider terms from this area
+     * @returns {Array<{term: Object, field: string, distance: number}>} Nearest first
+     */
+    findClosestTerms(query, area = null) {
+        // Looser than search(): about one edit for every three characters
+        const maxDistance = Math.min(4, Math.max(1, Math.floor(query.length / 3)));
+        const fieldPositions = this.getFieldPositions(null);
+        const closest = [];
+
+        this.index.entries.forEach(entry => {
+            if (area && entry.term.area !== area) {
+                return;
+            }
+
+            let best = null;
+            fieldPositions.forEach(position => {
+                const fieldText = entry.fields[position];
+                if (fieldText.length === 0) {
+                    return;
+                }
+                const distance = this.getWindowDistance(fieldText, query, maxDistance);
+                if (distance <= maxDistance && (!best || distance < best.distance)) {
+                    best = { term: entry.term, field: this.searchFields[position].name, distance };
+                }
+            });
+
+            if (best) {
+                closest.push(best);
+            }
+        });
+
+        return closest.sort((a, b) => a.distance - b.distance ||
+            a.term[a.field].localeCompare(b.term[b.field], 'es'));
+    }
+
+    /**
+     * Words used in some searchable fields, for spelling corrections
+     * Keys are normalized words; each keeps how often it appears and its
+     * most common written form, accents included.
+     * @param {Array<number>} fieldPositions - Positions in searchFields to collect words from
+     * @returns {Map<string, {count: number, form: string}>} Vocabulary
+     */
+    getVocabulary(fieldPositions) {
+        const key = fieldPositions.join(',');
+        if (this.index.vocabularies.has(key)) {
+            return this.index.vocabularies.get(key);
+        }
+
+        const formCounts = new Map();
+        this.terms.forEach(term => {
+            fieldPositions.forEach(position => {
+                const text = term[this.searchFields[position].name];
+                if (typeof text !== 'string') {
+                    return;
+                }
+                text.normalize('NFC').toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(form => {
+                    const word = this.normalizeText(form);
+                    if (word.length === 0) {
+                        return;
+                    }
+                    if (!formCounts.has(word)) {
+                        formCounts.set(word, new Map());
+                    }
+                    const forms = formCounts.get(word);
+                    forms.set(form, (forms.get(form) || 0) + 1);
+                });
+            });
+        });
+
+        const vocabulary = new Map();
+        formCounts.forEach((forms, word) => {
+            let count = 0;
+            let form = word;
+            let formCount = 0;
+            forms.forEach((occurrences, candidate) => {
+                count += occurrences;
+                if (occurrences > formCount) {
+                    form = candidate;
+                    formCount = occurrences;
+                }
+            });
+            vocabulary.set(word, { count, form });
+        });
+
+        this.index.vocabularies.set(key, vocabulary);
+        return vocabulary;
+    }
+
+    /**
+     * Parse a raw query with the engine's QueryParser
+     * @param {string} query - Search query string
+     * @returns {Object|null} Query tree, or null if there is nothing to search
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    parseQuery(query) {
+        if (!query || typeof query !== 'string') {
+            return null;
+        }
+        return this.queryParser.parse(query.trim());
+    }
+
+    /**
+     * Evaluate a query tree and rank the matches
+     * @param {Object} queryTree - Tree from parseQuery()
+     * @param {Object} options - Search options (see search())
+     * @param {Function} matchTerm - (normalizedText, fieldPositions, allowFuzzy) => Map of term id to match
+     * @returns {Array} Matching results sorted by descending score, then dataset order
+     */
+    runQuery(queryTree, options, matchTerm) {
+        const matches = this.evaluateQueryNode(queryTree, options, matchTerm, false);
+
+        return Array.from(matches.entries())
+            .sort(([idA, a], [idB, b]) => b.score - a.score || idA - idB)
+            .map(([, match]) => match);
+    }
+
+    /**
+     * Evaluate one node of a query tree
+     * AND keeps terms matched by every operand and averages their scores,
+     * OR keeps the best score of any operand, and negated operands remove
+     * their matches. Phrases and negated words never match fuzzily.
+     * @param {Object} node - Query tree node
+     * @param {Object} options - Search options (see search())
+     * @param {Function} matchTerm - See runQuery()
+     * @param {boolean} negated - Whether the node is inside a negation
+     * @returns {Map<number, Object>} Term id to match
+     */
+    evaluateQueryNode(node, options, matchTerm, negated) {
+        switch (node.type) {
+            case 'term': {
+                const normalizedText = this.normalizeText(node.text);
+                if (normalizedText.length === 0) {
+                    return new Map();
+                }
+                const fieldPositions = this.getFieldPositions(node.fields, options);
+                return matchTerm(normalizedText, fieldPositions, !node.phrase && !negated);
+            }
+            case 'or': {
+                const union = new Map();
+                node.operands.forEach(operand => {
+                    this.evaluateQueryNode(operand, options, matchTerm, negated).forEach((match, id) => {
+                        if (!union.has(id) || match.score > union.get(id).score) {
+                            union.set(id, match);
+                        }
+                    });
+                });
+                return union;
+            }
+            case 'and': {
+                const positives = node.operands.filter(operand => operand.type !== 'not');
+                const negatives = node.operands.filter(operand => operand.type === 'not');
+                let intersection = null;
+
+                for (const operand of positives) {
+                    const operandMatches = this.evaluateQueryNode(operand, options, matchTerm, negated);
+                    if (intersection === null) {
+                        intersection = operandMatches;
+                    } else {
+                        const combined = new Map();
+                        intersection.forEach((match, id) => {
+                            const other = operandMatches.get(id);
+                            if (other) {
+                                // Keep the stronger match's explanation, sum scores for the average
+                                const best = other.score > match.score ? other : match;
+                                combined.set(id, { ...best, score: match.score + other.score });
+                            }
+                        });
+                        intersection = combined;
+                    }
+                    if (intersection.size === 0) {
+                        return intersection;
+                    }
+                }
+
+                negatives.forEach(operand => {
+                    this.evaluateQueryNode(operand.operand, options, matchTerm, true).forEach((match, id) => {
+                        intersection.delete(id);
+                    });
+                });
+
+                intersection.forEach(match => {
+                    match.score = Math.round(match.score / positives.length * 100) / 100;
+                });
+                return intersection;
+            }
+            default:
+                // The parser never produces a bare negation outside an AND
+                return new Map();
+        }
+    }
+
+    /**
+     * Look up a searchable field by one of its scope aliases
+     * @param {string} alias - Alias such as "def", "jerga" or "cat" (accents and case are ignored)
+     * @returns {Object|null} Field definition from searchFields, or null if unknown
+     */
+    findFieldByAlias(alias) {
+        const normalizedAlias = this.normalizeText(alias);
+        return this.searchFields.find(field => field.aliases.includes(normalizedAlias)) || null;
+    }
+
+    /**
+     * Resolve which searchFields positions a search should look in
+     * @param {Array<string>|null} fieldNames - Explicit field names from a scoped query
+     * @param {Object} options - Search options (see search())
+     * @returns {Array<number>} Positions in searchFields
+     */
+    getFieldPositions(fieldNames, options = {}) {
+        const positions = [];
+        this.searchFields.forEach((field, position) => {
+            const included = fieldNames
+                ? fieldNames.includes(field.name)
+                : !field.optIn || Boolean(options.fullText);
+            if (included) {
+                positions.push(position);
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * Score a single term against an already normalized query
+     * @param {Object} term - Term object
+     * @param {string} normalizedQuery - Query passed through normalizeText
+     * @param {Array<string>} normalizedFields - Optional pre-normalized field values, in searchFields order
+     * @param {Array<number>} fieldPositions - Positions in searchFields to score (defaults to the non opt-in fields)
+     * @param {boolean} allowFuzzy - Whether typo-tolerant matches count
+     * @returns {Object|null} Best match for the term, or null if no field matches
+     */
+    scoreTerm(term, normalizedQuery, normalizedFields = null, fieldPositions = this.getFieldPositions(null), allowFuzzy = true) {
+        let best = null;
+
+        for (const position of fieldPositions) {
+            const field = this.searchFields[position];
+            const fieldText = normalizedFields
+                ? normalizedFields[position]
+                : this.normalizeText(term[field.name] || '');
+            const fieldMatch = this.matchField(fieldText, normalizedQuery, allowFuzzy);
+            if (!fieldMatch) {
+                continue;
+            }
+
+            const baseScore = this.matchScores[fieldMatch.matchType] - fieldMatch.distance * this.fuzzyPenalty;
+            const score = Math.round(baseScore * field.weight * 100) / 100;
+
+            if (!best || score > best.score) {
+                best = {
+                    term,
+                    score,
+                    field: field.name,
+                    matchType: fieldMatch.matchType,
+                    distance: fieldMatch.distance
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Classify how a normalized field value matches a normalized query
+     * @param {string} fieldText - Normalized field value
+     * @param {string} query - Normalized query
+     * @param {boolean} allowFuzzy - Whether to fall back to typo-tolerant matching
+     * @returns {{matchType: string, distance: number}|null} Match description, or null if no match
+     */
+    matchField(fieldText, query, allowFuzzy = true) {
+        if (fieldText.length === 0) {
+            return null;
+        }
+
+        if (fieldText === query) {
+            return { matchType: 'exact', distance: 0 };
+        }
+
+        if (fieldText.startsWith(query)) {
+            return { matchType: 'prefix', distance: 0 };
+        }
+
+        const position = fieldText.indexOf(query);
+        if (position !== -1) {
+            const atWordStart = /[^a-z0-9]/.test(fieldText.charAt(position - 1));
+            return { matchType: atWordStart ? 'word-prefix' : 'substring', distance: 0 };
+        }
+
+        const maxDistance = allowFuzzy ? this.getMaxEditDistance(query) : 0;
+        if (maxDistance === 0) {
+            return null;
+        }
+
+        const distance = this.getWindowDistance(fieldText, query, maxDistance);
+        if (distance <= maxDistance) {
+            return { matchType: 'fuzzy', distance };
+        }
+
+        return null;
+    }
+
+    /**
+     * Smallest edit distance between a query and any run of words in a field
+     * Runs have the same word count as the query, so a typo inside a longer
+     * name is measured against the words it was meant to be.
+     * @param {string} fieldText - Normalized field value
+     * @param {string} query - Normalized query
+     * @param {number} maxDistance - Largest distance of interest
+     * @returns {number} Edit distance, or maxDistance + 1 if every run is further away
+     */
+    getWindowDistance(fieldText, query, maxDistance) {
+        const fieldWords = fieldText.split(/\s+/);
+        const windowSize = Math.min(query.split(/\s+/).length, fieldWords.length);
+        let bestDistance = maxDistance + 1;
+
+        for (let start = 0; start + windowSize <= fieldWords.length; start++) {
+            const candidate = fieldWords.slice(start, start + windowSize).join(' ');
+            bestDistance = Math.min(bestDistance, this.editDistance(candidate, query, maxDistance));
+            if (bestDistance <= 1) {
+                break;
+            }
+        }
+
+        return bestDistance;
+    }
+
+    /**
+     * Number of typos tolerated for a query of a given length
+     * Very short queries must match exactly to avoid noisy results.
+     * @param {string} query - Normalized query
+     * @returns {number} Maximum edit distance allowed
+     */
+    getMaxEditDistance(query) {
+        if (query.length < 4) {
+            return 0;
+        }
+        return query.length < 8 ? 1 : 2;
+    }
+
+    /**
+     * Compute the Levenshtein edit distance between two strings
+     * Stops early once the distance is known to exceed maxDistance.
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxDistance - Largest distance of interest
+     * @returns {number} Edit distance, or maxDistance + 1 if it is larger than maxDistance
+     */
+    editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const currentRow = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                currentRow[j] = Math.min(
+                    previousRow[j] + 1,        // deletion
+                    currentRow[j - 1] + 1,     // insertion
+                    previousRow[j - 1] + cost  // substitution
+                );
+                rowMinimum = Math.min(rowMinimum, currentRow[j]);
+            }
+
+            if (rowMinimum > maxDistance) {
+                return maxDistance + 1;
+            }
+            previousRow = currentRow;
+        }
+
+        const distance = previousRow[b.length];
+        return distance > maxDistance ? maxDistance + 1 : distance;
+    }
+
+    /**
+     * Filter terms by academic area
+     * @param {string} area - Academic area name
+     * @returns {Array} Array of terms for the specified area
+     */
+    filterByArea(area) {
+        if (!area || typeof area !== 'string') {
+            return [];
+        }
+
+        return this.terms.filter(term => 
+            term.area && term.area.toLowerCase() === area.toLowerCase()
+        );
+    }
+
+    /**
+     * Count terms per categoria
+     * Terms without a categoria are counted under the empty string.
+     * @param {Array} terms - Array of term objects
+     * @returns {Array<{categoria: string, count: number}>} Categorias sorted alphabetically
+     */
+    getCategoriaCounts(terms) {
+        const counts = new Map();
+
+        terms.forEach(term => {
+            const categoria = this.getTermCategoria(term);
+            counts.set(categoria, (counts.get(categoria) || 0) + 1);
+        });
+
+        return Array.from(counts, ([categoria, count]) => ({ categoria, count }))
+            .sort((a, b) => {
+                // Uncategorized terms always go last
+                if (a.categoria === '' || b.categoria === '') {
+                    return a.categoria === '' ? 1 : -1;
+                }
+                return a.categoria.localeCompare(b.categoria, 'es');
+            });
+    }
+
+    /**
+     * Keep only the terms in any of the selected categorias
+     * @param {Array} terms - Array of term objects
+     * @param {Set<string>} categorias - Selected categorias (empty set keeps everything)
+     * @returns {Array} Filtered terms
+     */
+    filterByCategorias(terms, categorias) {
+        if (!categorias || categorias.size === 0) {
+            return terms;
+        }
+
+        return terms.filter(term => categorias.has(this.getTermCategoria(term)));
+    }
+
+    /**
+     * Get a term's categoria as a trimmed string
+     * @param {Object} term - Term object
+     * @returns {string} Categoria, or an empty string if the term has none
+     */
+    getTermCategoria(term) {
+        return typeof term.categoria === 'string' ? term.categoria.trim() : '';
+    }
+
+    /**
+     * Sort terms alphabetically by one of their fields
+     * Accents, case and leading punctuation are ignored, so "¿Qué...?" sorts
+     * under Q; ties are broken by termino_formal.
+     * @param {Array} terms - Terms to sort (not modified)
+     * @param {string} field - Field to sort by, e.g. 'termino_formal' or 'dominicanismo'
+     * @returns {Array} New sorted array
+     */
+    sortTerms(terms, field) {
+        return terms
+            .map(term => ({
+                term,
+                key: this.getSortKey(term[field]),
+                tieBreaker: this.getSortKey(term.termino_formal)
+            }))
+            .sort((a, b) => a.key.localeCompare(b.key, 'es') || a.tieBreaker.localeCompare(b.tieBreaker, 'es'))
+            .map(entry => entry.term);
+    }
+
+    /**
+     * Text used to sort a field value: normalized, without leading punctuation
+     * @param {string} text - Field value
+     * @returns {string} Sort key
+     */
+    getSortKey(text) {
+        return this.normalizeText(text).replace(/^[^a-z0-9]+/, '');
+    }
+
+    /**
+     * Letter a field value is filed under in an A–Z list
+     * @param {string} text - Field value
+     * @returns {string} Uppercase letter A–Z, or "#" for digits and anything else
+     */
+    getInitialLetter(text) {
+        const initial = this.getSortKey(text).charAt(0);
+        return /[a-z]/.test(initial) ? initial.toUpperCase() : '#';
+    }
+
+    /**
+     * Perform debounced search to optimize performance
+     * @param {string} query - Search query string
+     * @param {Function} callback - Callback function to execute with (results, queryError)
+     * @param {Object} options - Search options passed to search()
+     */
+    debouncedSearch(query, callback, options = {}) {
+        // Clear existing timeout
+        if (this.searchDebounceTimeout) {
+            clearTimeout(this.searchDebounceTimeout);
+        }
+
+        // Set new timeout
+        this.searchDebounceTimeout = setTimeout(() => {
+            let results = [];
+            let queryError = null;
+
+            try {
+                results = this.search(query, options);
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) {
+                    throw error;
+                }
+                queryError = error;
+            }
+
+            callback(results, queryError);
+        }, this.searchDebounceDelay);
+    }
+
+    /**
+     * Normalize text for better Spanish language support
+     * Converts to lowercase and removes accented characters
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        return text
+            .toLowerCase()
+            .normalize('NFD') // Decompose accented characters
+            .replace(/[\u0300-\u036f]/g, '') // Remove diacritical marks
+            .trim();
+    }
+
+    /**
+     * Get search statistics
+     * @returns {Object} Object with search statistics
+     */
+    getSearchStats() {
+        return {
+            totalTerms: this.terms.length,
+            indexedTokens: this.index ? this.index.postings.size : 0,
+            debounceDelay: this.searchDebounceDelay
+        };
+    }
+
+    /**
+     * Clear any pending debounced search
+     */
+    clearDebounce() {
+        if (this.searchDebounceTimeout) {
+            clearTimeout(this.searchDebounceTimeout);
+            this.searchDebounceTimeout = null;
+        }
+    }
+}
+
+export { QuerySyntaxError, QueryParser, SearchEngine };
@@ -0,0 +1,109 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Sort preferences module: sort order and grouping of term lists
+ *
+ * No DOM dependency; storage is injectable (see SortPreferences) so the
+ * preferences can be tested in test/.
+ */
+
+/**
+ * Sort order and grouping of term lists, persisted in storage (localStorage
+ * in the browser)
+ * Kept separately for each kind of list ("search", "area" and "favorites"),
+ * so ordering search results by relevance does not change how an area is
+ * listed. Stored as { view: { sort, group } }.
+ */
+class SortPreferences {
+    /**
+     * @param {Object} options - Preferences options
+     * @param {Storage} options.storage - localStorage-compatible store (defaults to the global localStorage)
+     * @param {string} options.storageKey - Key the preferences are stored under
+     * @param {Object} options.logger - Object with a warn method (defaults to console)
+     */
+    constructor({ storage = globalThis.localStorage, storageKey = 'itsc-dictionary-sort', logger = console } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.logger = logger;
+        // Allowed values and defaults per view
+        this.views = {
+            search: {
+                sorts: ['relevance', 'termino_formal', 'dominicanismo'],
+                groups: ['none', 'area', 'categoria'],
+                defaults: { sort: 'relevance', group: 'none' }
+            },
+            area: {
+                sorts: ['termino_formal', 'dominicanismo'],
+                groups: ['none', 'categoria'],
+                defaults: { sort: 'termino_formal', group: 'none' }
+            },
+            favorites: {
+                sorts: ['termino_formal', 'dominicanismo'],
+                groups: ['none', 'area', 'categoria'],
+                defaults: { sort: 'termino_formal', group: 'area' }
+            }
+        };
+        this.preferences = this.load();
+    }
+
+    /**
+     * Read the saved preferences from storage
+     * @returns {Object} Map of view to { sort, group }
+     */
+    load() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            this.logger.warn('Could not read sort preferences, using the defaults:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the preferences to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.preferences));
+        } catch (error) {
+            // Private browsing or a full storage quota; keep the in-memory preferences
+            this.logger.warn('Could not save sort preferences to localStorage:', error);
+        }
+    }
+
+    /**
+     * Get the sort and grouping for a view, falling back to its defaults
+     * @param {string} view - 'search', 'area' or 'favorites'
+     * @returns {{sort: string, group: string}} Current preferences
+     */
+    get(view) {
+        const allowed = this.views[view];
+        const saved = this.preferences[view] || {};
+        return {
+            sort: allowed.sorts.includes(saved.sort) ? saved.sort : allowed.defaults.sort,
+            group: allowed.groups.includes(saved.group) ? saved.group : allowed.defaults.group
+        };
+    }
+
+    /**
+     * Change the sort or grouping of a view; unknown values are ignored
+     * @param {string} view - 'search', 'area' or 'favorites'
+     * @param {{sort: string, group: string}} changes - Values to change
+     */
+    set(view, changes) {
+        this.preferences[view] = { ...this.get(view), ...changes };
+        // Read back through get() so invalid values never reach storage
+        this.preferences[view] = this.get(view);
+        this.save();
+    }
+}
+
+export { SortPreferences };
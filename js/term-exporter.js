@@ -0,0 +1,152 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Export module: CSV, JSON and Anki files of a list of terms
+ *
+ * No DOM dependency; app.js turns the text into a download, and the tests
+ * in test/ check the formats.
+ */
+
+/**
+ * Term export formats: CSV, the JSON schema DataLoader reads, and an
+ * Anki-importable tab-separated deck
+ */
+class TermExporter {
+    constructor() {
+        // Fields of the data files, in file order (see data/*.json)
+        this.dataFields = ['termino_formal', 'dominicanismo', 'definicion', 'ejemplo_uso', 'categoria', 'sinonimos', 'relacionados'];
+        this.formats = {
+            csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            json: { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+            anki: { extension: 'txt', mimeType: 'text/tab-separated-values;charset=utf-8' }
+        };
+    }
+
+    /**
+     * Export terms in one of the supported formats
+     * @param {Array} terms - Terms to export
+     * @param {string} format - 'csv', 'json' or 'anki'
+     * @returns {string} File contents
+     */
+    export(terms, format) {
+        switch (format) {
+            case 'csv':
+                return this.toCSV(terms);
+            case 'json':
+                return this.toJSON(terms);
+            case 'anki':
+                return this.toAnkiTSV(terms);
+            default:
+                throw new Error(`Formato de exportación desconocido: ${format}`);
+        }
+    }
+
+    /**
+     * CSV (RFC 4180) with a header row, CRLF line endings and a UTF-8 byte
+     * order mark so spreadsheet programs keep the accents
+     * @param {Array} terms - Terms to export
+     * @returns {string} CSV contents
+     */
+    toCSV(terms) {
+        const header = [...this.dataFields, 'area'];
+        // List fields (sinonimos, relacionados) go in one cell, separated by semicolons
+        const rows = terms.map(term => header.map(field =>
+            this.neutralizeFormula(Array.isArray(term[field]) ? term[field].join('; ') : term[field])));
+        return '\uFEFF' + [header, ...rows].map(row => this.formatRow(row, ',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * JSON array in the same schema as the data files (without the area and
+     * slug that DataLoader adds at load time)
+     * @param {Array} terms - Terms to export
+     * @returns {string} JSON contents
+     */
+    toJSON(terms) {
+        const entries = terms.map(term => {
+            const entry = {};
+            this.dataFields.forEach(field => {
+                if (term[field] !== undefined) {
+                    entry[field] = term[field];
+                }
+            });
+            return entry;
+        });
+        return JSON.stringify(entries, null, 4) + '\n';
+    }
+
+    /**
+     * Anki plain-text import: front (termino_formal), back (dominicanismo,
+     * definicion and ejemplo_uso as HTML) and tags (area and categoria)
+     * The header lines tell Anki the separator, that fields hold HTML and
+     * which column has the tags.
+     * @param {Array} terms - Terms to export
+     * @returns {string} Tab-separated contents
+     */
+    toAnkiTSV(terms) {
+        const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+
+        terms.forEach(term => {
+            const back = [
+                `<b>${this.escapeHtml(term.dominicanismo)}</b>`,
+                term.definicion ? this.escapeHtml(term.definicion) : '',
+                term.ejemplo_uso ? `<i>"${this.escapeHtml(term.ejemplo_uso)}"</i>` : ''
+            ].filter(Boolean).join('<br><br>');
+
+            // Anki tags cannot contain spaces
+            const tags = [term.area, term.categoria]
+                .filter(tag => typeof tag === 'string' && tag.trim())
+                .map(tag => tag.trim().replace(/\s+/g, '_'))
+                .join(' ');
+
+            lines.push(this.formatRow([this.escapeHtml(term.termino_formal), back, tags], '\t'));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Keep spreadsheet programs from running a cell as a formula
+     * Cells starting with =, +, - or @ (or a tab or carriage return, which
+     * some programs skip) get a leading apostrophe, which they show as text.
+     * @param {*} value - Cell value
+     * @returns {*} The value, prefixed if it could be read as a formula
+     */
+    neutralizeFormula(value) {
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+            return `'${value}`;
+        }
+        return value;
+    }
+
+    /**
+     * Join the fields of a row, quoting the ones that need it
+     * Fields containing the separator, quotes or line breaks are wrapped in
+     * double quotes, with inner quotes doubled.
+     * @param {Array} fields - Field values (missing values become empty)
+     * @param {string} separator - Field separator
+     * @returns {string} Formatted row
+     */
+    formatRow(fields, separator) {
+        return fields.map(value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            if (text.includes(separator) || /["\r\n]/.test(text)) {
+                return `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        }).join(separator);
+    }
+
+    /**
+     * Escape text for the HTML fields of an Anki note
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text (line breaks become <br>)
+     */
+    escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\r?\n/g, '<br>');
+    }
+}
+
+export { TermExporter };
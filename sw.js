@@ -0,0 +1,137 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Service Worker - offline support
+ *
+ * Precaches the app shell, the area registry and every data file it lists,
+ * then serves same-origin GET requests stale-while-revalidate: the cached
+ * copy answers right away and a fresh copy from the network replaces it in
+ * the background for the next visit. Pages are told whether the network is
+ * reachable so they can show the "versión guardada" indicator.
+ */
+
+// Bump the version whenever PRECACHE_URLS changes
+const CACHE_PREFIX = 'diccionario-itsc-';
+const CACHE_NAME = `${CACHE_PREFIX}v11`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './js/search-engine.js',
+    './js/data-loader.js',
+    './js/favorites-store.js',
+    './js/quiz-generator.js',
+    './js/review-scheduler.js',
+    './js/sort-preferences.js',
+    './js/term-exporter.js',
+    './style.css',
+    './logo.png',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png',
+    './data/areas.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS).then(() => precacheAreaFiles(cache)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Precache the data file of every area listed in the registry, so new areas
+ * work offline without touching this file
+ * @param {Cache} cache - Cache being filled during install
+ * @returns {Promise} Resolves once every area file is cached
+ */
+async function precacheAreaFiles(cache) {
+    const response = await cache.match('./data/areas.json');
+    const areas = await response.json();
+    return cache.addAll(areas.map(area => `./data/${area.file}`));
+}
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+/**
+ * Answer from the cache when possible and refresh the cache from the network
+ * @param {FetchEvent} event - Fetch event to answer
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(event.request);
+
+    const networkResponse = fetch(event.request)
+        .then((response) => {
+            if (response.ok) {
+                cache.put(event.request, response.clone());
+            }
+            notifyClient(event, { type: 'network-status', online: true });
+            return response;
+        })
+        .catch((error) => {
+            notifyClient(event, { type: 'network-status', online: false, url: event.request.url });
+            throw error;
+        });
+
+    if (cachedResponse) {
+        // Keep the worker alive until the background refresh settles
+        event.waitUntil(networkResponse.catch(() => {}));
+        return cachedResponse;
+    }
+
+    try {
+        return await networkResponse;
+    } catch (error) {
+        // Offline navigation to an uncached URL: fall back to the app shell
+        if (event.request.mode === 'navigate') {
+            const shell = await cache.match('./index.html');
+            if (shell) {
+                return shell;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Post a message to the page that made a request
+ * @param {FetchEvent} event - Fetch event of the request
+ * @param {Object} message - Message to send
+ */
+async function notifyClient(event, message) {
+    const clientId = event.clientId || event.resultingClientId;
+    if (!clientId) {
+        return;
+    }
+
+    const client = await self.clients.get(clientId);
+    if (client) {
+        client.postMessage(message);
+    }
+}
@@ -0,0 +1,342 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DataLoader, DataValidator } from '../js/data-loader.js';
+
+const TERM_SCHEMA = JSON.parse(readFileSync(new URL('../data/term.schema.json', import.meta.url), 'utf8'));
+
+const silent = { log() {}, warn() {}, error() {} };
+
+/**
+ * Build a valid term, overriding some of its fields
+ */
+function makeTerm(overrides = {}) {
+    return {
+        termino_formal: 'Servidor web',
+        dominicanismo: 'El server',
+        definicion: 'Programa que entrega páginas web.',
+        ejemplo_uso: 'Se cayó el server.',
+        categoria: 'Redes',
+        ...overrides
+    };
+}
+
+/**
+ * Create a fetch stub that serves the given files from ./data/
+ * A value that is an Error is thrown (network failure); a missing file is a 404.
+ */
+function createFetch(files) {
+    const requested = [];
+    const fetch = async (url) => {
+        requested.push(url);
+        const name = url.replace('./data/', '');
+        const body = files[name];
+        if (body instanceof Error) {
+            throw body;
+        }
+        if (body === undefined) {
+            return new Response(null, { status: 404 });
+        }
+        return new Response(JSON.stringify(body));
+    };
+    return { fetch, requested };
+}
+
+const REGISTRY = [
+    { id: 'informatica', name: 'Informática', file: 'informatica.json' },
+    { id: 'salud', name: 'Salud', file: 'salud.json' },
+    { id: 'artes', name: 'Artes', file: 'artes.json' }
+];
+
+describe('DataLoader.validateTermSchema', () => {
+    let dataLoader;
+
+    beforeEach(() => {
+        dataLoader = new DataLoader({ logger: silent });
+    });
+
+    it('accepts a complete term', () => {
+        assert.equal(dataLoader.validateTermSchema(makeTerm()), true);
+    });
+
+    it('rejects values that are not objects', () => {
+        for (const value of [null, undefined, 'Servidor', 42, [makeTerm()]]) {
+            assert.equal(dataLoader.validateTermSchema(value), false, String(value));
+        }
+    });
+
+    it('requires the text fields a card shows, including definicion', () => {
+        for (const field of ['termino_formal', 'dominicanismo', 'definicion', 'ejemplo_uso']) {
+            const term = makeTerm();
+            delete term[field];
+            assert.equal(dataLoader.validateTermSchema(term), false, field);
+        }
+    });
+
+    it('rejects empty, whitespace-only and non-string text fields', () => {
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ definicion: '' })), false);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ termino_formal: '\n\t' })), false);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ dominicanismo: 7 })), false);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ ejemplo_uso: ['Se cayó'] })), false);
+    });
+
+    it('keeps terms with a missing or null categoria and fields the schema does not define', () => {
+        const term = makeTerm();
+        delete term.categoria;
+        assert.equal(dataLoader.validateTermSchema(term), true);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ categoria: null })), true);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ nota: 'Revisar' })), true);
+    });
+
+    it('rejects sinonimos and relacionados that are not lists of names', () => {
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ sinonimos: 'Server' })), false);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ relacionados: [1] })), false);
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ relacionados: ['Red'] })), true);
+    });
+
+    it('accepts accented and non-ASCII text', () => {
+        assert.equal(dataLoader.validateTermSchema(makeTerm({ termino_formal: 'Cigüeñal', categoria: 'Mecánica' })), true);
+    });
+
+    it('names the field of each problem', () => {
+        const problems = dataLoader.getTermProblems(makeTerm({ definicion: '', dominicanismo: undefined }));
+        assert.deepEqual(problems.map(problem => problem.path.join('.')).sort(), ['definicion', 'dominicanismo']);
+    });
+});
+
+describe('DataLoader.getSchemaProblems', () => {
+    let dataLoader;
+
+    beforeEach(() => {
+        dataLoader = new DataLoader({ logger: silent });
+        dataLoader.setTermSchema(TERM_SCHEMA);
+    });
+
+    it('accepts a complete term', () => {
+        assert.deepEqual(dataLoader.getSchemaProblems(makeTerm()), []);
+    });
+
+    it('requires categoria as non-blank text', () => {
+        const term = makeTerm();
+        delete term.categoria;
+        assert.deepEqual(dataLoader.getSchemaProblems(term).map(problem => problem.path.join('.')), ['categoria']);
+        assert.equal(dataLoader.getSchemaProblems(makeTerm({ categoria: null })).length, 1);
+        assert.equal(dataLoader.getSchemaProblems(makeTerm({ categoria: '   ' })).length, 1);
+    });
+
+    it('names every problem, including fields the schema does not define', () => {
+        const problems = dataLoader.getSchemaProblems(makeTerm({ definicion: '', extra: true, categoria: undefined }));
+        assert.deepEqual(problems.map(problem => problem.path.join('.')).sort(), ['categoria', 'definicion', 'extra']);
+    });
+
+    it('throws if the schema has not been loaded', () => {
+        assert.throws(() => new DataLoader({ logger: silent }).getSchemaProblems(makeTerm()), /esquema/);
+    });
+});
+
+describe('DataLoader.loadAllData', () => {
+    it('loads every area through the injected fetch', async () => {
+        const { fetch, requested } = createFetch({
+            'areas.json': REGISTRY,
+            'informatica.json': [makeTerm()],
+            'salud.json': [makeTerm({ termino_formal: 'Asepsia', categoria: 'Enfermería' })],
+            'artes.json': [makeTerm({ termino_formal: 'Boceto', categoria: 'Diseño' })]
+        });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+
+        const terms = await dataLoader.loadAllData();
+
+        assert.equal(terms.length, 3);
+        assert.deepEqual(terms.map(term => term.area), ['informatica', 'salud', 'artes']);
+        assert.ok(requested.includes('./data/salud.json'));
+        assert.ok(dataLoader.getTermBySlug('salud-asepsia'));
+    });
+
+    it('keeps the areas that loaded when others fail', async () => {
+        const { fetch } = createFetch({
+            'areas.json': REGISTRY,
+            'informatica.json': [makeTerm(), makeTerm({ termino_formal: 'Red' })],
+            // salud.json is missing (404)
+            'artes.json': new TypeError('Failed to fetch')
+        });
+        const warnings = [];
+        const dataLoader = new DataLoader({ fetch, logger: { ...silent, warn: (...args) => warnings.push(args.join(' ')) } });
+
+        const terms = await dataLoader.loadAllData();
+
+        assert.equal(terms.length, 2);
+        assert.deepEqual(dataLoader.getLoadingStats().areasLoaded, ['informatica']);
+        assert.equal(dataLoader.getLoadingStats().totalAreas, 3);
+        assert.deepEqual(dataLoader.getAreaTerms('salud'), []);
+        assert.ok(warnings.some(warning => warning.includes('salud, artes')));
+    });
+
+    it('reports a network failure and a missing file with their own messages', async () => {
+        const { fetch } = createFetch({
+            'areas.json': REGISTRY,
+            'informatica.json': new TypeError('Failed to fetch')
+        });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+        dataLoader.setAreaRegistry(REGISTRY);
+
+        await assert.rejects(dataLoader.loadAreaData('informatica'), /Error de red/);
+        await assert.rejects(dataLoader.loadAreaData('salud'), /no encontrado/);
+    });
+
+    it('drops invalid terms and fails an area with no valid terms', async () => {
+        const { fetch } = createFetch({
+            'areas.json': REGISTRY,
+            'informatica.json': [makeTerm(), makeTerm({ dominicanismo: null }), 'not a term'],
+            'salud.json': [makeTerm({ definicion: '' })],
+            'artes.json': { terms: [] }
+        });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+
+        const terms = await dataLoader.loadAllData();
+
+        assert.equal(terms.length, 1);
+        assert.deepEqual(dataLoader.getLoadingStats().areasLoaded, ['informatica']);
+    });
+
+    it('keeps terms the strict schema would reject, and needs no schema file', async () => {
+        const { fetch, requested } = createFetch({
+            'areas.json': REGISTRY,
+            'informatica.json': [makeTerm({ categoria: null }), makeTerm({ termino_formal: 'Red', nota: 'Revisar' })]
+        });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+
+        const terms = await dataLoader.loadAllData();
+
+        assert.equal(terms.length, 2);
+        assert.ok(!requested.includes('./data/term.schema.json'));
+    });
+
+    it('rejects when no area loads', async () => {
+        const { fetch } = createFetch({ 'areas.json': REGISTRY });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+
+        await assert.rejects(dataLoader.loadAllData(), /Error al cargar los datos del diccionario/);
+    });
+
+    it('rejects when the area registry cannot be loaded', async () => {
+        const { fetch } = createFetch({ 'informatica.json': [makeTerm()] });
+        const dataLoader = new DataLoader({ fetch, logger: silent });
+
+        await assert.rejects(dataLoader.loadAllData(), /Error al cargar los datos del diccionario/);
+    });
+});
+
+describe('DataLoader.linkEquivalentTerms', () => {
+    /**
+     * Load terms (with their area) the way loadAllData() does
+     */
+    function linkTerms(terms) {
+        const dataLoader = new DataLoader({ logger: silent });
+        dataLoader.setAreaRegistry(REGISTRY);
+        dataLoader.assignTermSlugs(terms);
+        dataLoader.indexTermNames(terms);
+        dataLoader.linkEquivalentTerms(terms);
+        return dataLoader;
+    }
+
+    it('links terms with the same termino_formal across areas, ignoring case and accents', () => {
+        const terms = [
+            { ...makeTerm({ termino_formal: 'Píxel' }), area: 'artes' },
+            { ...makeTerm({ termino_formal: 'pixel' }), area: 'salud' },
+            { ...makeTerm({ termino_formal: 'Boceto' }), area: 'artes' }
+        ];
+        const dataLoader = linkTerms(terms);
+
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[0]), [terms[1]]);
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[1]), [terms[0]]);
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[2]), []);
+    });
+
+    it('links declared sinonimos in both directions and transitively', () => {
+        const terms = [
+            { ...makeTerm({ termino_formal: 'Renderizado', sinonimos: ['Render'] }), area: 'artes' },
+            { ...makeTerm({ termino_formal: 'Render' }), area: 'informatica' },
+            { ...makeTerm({ termino_formal: 'Imagen 3D', sinonimos: ['Renderizado'] }), area: 'salud' }
+        ];
+        const dataLoader = linkTerms(terms);
+
+        // Ordered like the registry: informatica, salud, artes
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[0]).map(term => term.area), ['informatica', 'salud']);
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[1]).map(term => term.area), ['salud', 'artes']);
+        assert.equal(new Set(terms.map(term => dataLoader.getConceptKey(term))).size, 1);
+    });
+
+    it('ignores sinonimos that name no loaded term', () => {
+        const terms = [{ ...makeTerm({ sinonimos: ['No existe'] }), area: 'informatica' }];
+        const dataLoader = linkTerms(terms);
+
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[0]), []);
+        assert.equal(dataLoader.getConceptKey(terms[0]), terms[0].slug);
+    });
+
+    it('lists one counterpart per other area', () => {
+        const terms = [
+            { ...makeTerm({ termino_formal: 'DNS', categoria: 'Soporte' }), area: 'informatica' },
+            { ...makeTerm({ termino_formal: 'DNS', categoria: 'Redes' }), area: 'informatica' },
+            { ...makeTerm({ termino_formal: 'DNS' }), area: 'salud' }
+        ];
+        const dataLoader = linkTerms(terms);
+
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[2]), [terms[0]]);
+        assert.deepEqual(dataLoader.getEquivalentTerms(terms[0]), [terms[2]]);
+    });
+});
+
+describe('DataLoader term references', () => {
+    const files = {
+        'areas.json': REGISTRY,
+        'term.schema.json': TERM_SCHEMA,
+        'informatica.json': [
+            makeTerm({ relacionados: ['Base de datos', 'No existe'] }),
+            makeTerm({ termino_formal: 'Base de datos', sinonimos: ['Base de datos'] }),
+            makeTerm({ termino_formal: 'Render' })
+        ],
+        'salud.json': [makeTerm({ termino_formal: 'Asepsia', relacionados: ['render', 'Servidor web'] })],
+        'artes.json': [makeTerm({ termino_formal: 'Render', relacionados: ['Render'] })]
+    };
+
+    it('resolves references by name, preferring the referring term\'s area', async () => {
+        const dataLoader = new DataLoader({ fetch: createFetch(files).fetch, logger: silent });
+        const terms = await dataLoader.loadAllData();
+        const [servidor, baseDeDatos, render] = terms;
+        const asepsia = terms.find(term => term.area === 'salud');
+        const renderArtes = terms.find(term => term.area === 'artes');
+
+        assert.deepEqual(dataLoader.getTermReferences(servidor, 'relacionados'), [baseDeDatos]);
+        // Found in informatica first (registry order), and never the term itself
+        assert.deepEqual(dataLoader.getTermReferences(asepsia, 'relacionados'), [render, servidor]);
+        assert.deepEqual(dataLoader.getTermReferences(renderArtes, 'relacionados'), [render]);
+        assert.deepEqual(dataLoader.getTermReferences(baseDeDatos, 'sinonimos'), []);
+    });
+
+    it('reports broken references at load time', async () => {
+        const warnings = [];
+        const logger = { ...silent, warn: (...args) => warnings.push(args) };
+        const dataLoader = new DataLoader({ fetch: createFetch(files).fetch, logger });
+        await dataLoader.loadAllData();
+
+        assert.deepEqual(dataLoader.brokenReferences, [
+            { slug: 'informatica-servidor-web', field: 'relacionados', reference: 'No existe' },
+            { slug: 'informatica-base-de-datos', field: 'sinonimos', reference: 'Base de datos' }
+        ]);
+        assert.equal(dataLoader.getLoadingStats().brokenReferences, 2);
+        assert.ok(warnings.some(([message]) => message.includes('2 broken term references')));
+    });
+
+    it('lists broken references in the validation report', async () => {
+        const validator = new DataValidator(new DataLoader({ logger: silent }));
+        const problems = await validator.validateAll(async file => files[file]);
+        const references = problems.filter(problem => /^(sinonimos|relacionados)\./.test(problem.field));
+
+        assert.deepEqual(references.map(({ file, index, field }) => `${file} #${index} ${field}`), [
+            'informatica.json #0 relacionados.1',
+            'informatica.json #1 sinonimos.0'
+        ]);
+        assert.match(references[1].message, /mismo término/);
+    });
+});
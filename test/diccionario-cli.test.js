@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DataLoader } from '../js/data-loader.js';
+import { SearchEngine } from '../js/search-engine.js';
+import { createFileFetch } from '../tools/file-fetch.js';
+
+const CLI = fileURLToPath(new URL('../tools/diccionario.js', import.meta.url));
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Run the CLI against the real data/ folder
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('tools/diccionario.js options', () => {
+    it('does not take the query as the value of a flag placed before it', async () => {
+        const before = await run('search', '--completo', 'servidor');
+        const after = await run('search', 'servidor', '--completo');
+
+        assert.equal(before.code, 0, before.stderr);
+        assert.match(before.stdout, /\d+ resultados/);
+        assert.equal(before.stdout, after.stdout);
+    });
+
+    it('still reads the value of options that take one', async () => {
+        const { code, stdout, stderr } = await run('search', '--area', 'salud', '--limite', '1', 'presion');
+
+        assert.equal(code, 0, stderr);
+        assert.match(stdout.split('\n')[0], /\[Salud/);
+        assert.match(stdout, /mostrando 1/);
+    });
+
+    it('treats --json as a flag', async () => {
+        const { stdout } = await run('validate', '--json', 'extra');
+
+        assert.ok(Array.isArray(JSON.parse(stdout)));
+    });
+});
+
+describe('tools/diccionario.js stats', () => {
+    it('counts terms without categoria apart from the categorias', async () => {
+        const silent = { log() {}, warn() {}, error() {} };
+        const terms = await new DataLoader({ fetch: createFileFetch(ROOT_DIR), logger: silent }).loadAllData();
+        const counts = new SearchEngine().getCategoriaCounts(terms);
+        const uncategorized = counts.find(({ categoria }) => categoria === '');
+
+        const { code, stdout, stderr } = await run('stats');
+
+        assert.equal(code, 0, stderr);
+        assert.match(stdout.split('\n')[0], /Categorías {2}Sin categoría {2}Inválidos$/);
+        assert.match(stdout, new RegExp(`en \\d+ áreas, ${counts.length - (uncategorized ? 1 : 0)} categorías`));
+        if (uncategorized) {
+            assert.match(stdout, new RegExp(`\\nSin categoría: ${uncategorized.count} términos\\n`));
+        } else {
+            assert.doesNotMatch(stdout, /\nSin categoría:/);
+        }
+    });
+});
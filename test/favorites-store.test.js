@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FavoritesStore } from '../js/favorites-store.js';
+
+const silent = { warn() {} };
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+/**
+ * Logger that records each warning message
+ */
+function createLogger() {
+    const warnings = [];
+    return { warn: message => warnings.push(message), warnings };
+}
+
+describe('FavoritesStore', () => {
+    it('saves toggled slugs in order and reads them back in a new store', () => {
+        const storage = createStorage();
+        const favorites = new FavoritesStore({ storage, logger: silent });
+
+        assert.equal(favorites.toggle('salud-asepsia'), true);
+        assert.equal(favorites.toggle('informatica-red'), true);
+        assert.equal(favorites.toggle('artes-boceto'), true);
+        assert.equal(favorites.toggle('informatica-red'), false);
+
+        assert.equal(storage.items.get('itsc-dictionary-favorites'), '["salud-asepsia","artes-boceto"]');
+        const reloaded = new FavoritesStore({ storage, logger: silent });
+        assert.deepEqual(reloaded.getSlugs(), ['salud-asepsia', 'artes-boceto']);
+        assert.ok(reloaded.has('artes-boceto'));
+        assert.equal(reloaded.size, 2);
+    });
+
+    it('starts empty when the saved list is unreadable or not a list', () => {
+        const logger = createLogger();
+        const corrupted = new FavoritesStore({ storage: createStorage({ 'itsc-dictionary-favorites': '["salud-asepsia"' }), logger });
+
+        assert.equal(corrupted.size, 0);
+        assert.equal(logger.warnings.length, 1);
+
+        const notAList = new FavoritesStore({ storage: createStorage({ 'itsc-dictionary-favorites': '{"0":"salud-asepsia"}' }), logger: silent });
+        assert.equal(notAList.size, 0);
+    });
+
+    it('drops saved entries that are not slugs', () => {
+        const storage = createStorage({ 'itsc-dictionary-favorites': '["salud-asepsia",null,42,{"slug":"x"}]' });
+
+        assert.deepEqual(new FavoritesStore({ storage, logger: silent }).getSlugs(), ['salud-asepsia']);
+    });
+
+    it('keeps the in-memory list when storage refuses writes', () => {
+        const logger = createLogger();
+        const storage = createStorage();
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        const favorites = new FavoritesStore({ storage, logger });
+
+        assert.equal(favorites.toggle('salud-asepsia'), true);
+        assert.ok(favorites.has('salud-asepsia'));
+        assert.equal(logger.warnings.length, 1);
+    });
+
+    it('works when storage is unavailable', () => {
+        const logger = createLogger();
+        const unavailable = createStorage();
+        unavailable.getItem = () => {
+            throw new Error('SecurityError');
+        };
+
+        assert.equal(new FavoritesStore({ storage: unavailable, logger }).size, 0);
+        assert.equal(logger.warnings.length, 1);
+
+        const favorites = new FavoritesStore({ storage: null, logger: silent });
+        assert.equal(favorites.toggle('salud-asepsia'), true);
+        assert.deepEqual(favorites.getSlugs(), ['salud-asepsia']);
+    });
+});
+
+describe('FavoritesStore.getTerms', () => {
+    const terms = new Map([
+        ['salud-asepsia', { slug: 'salud-asepsia' }],
+        ['artes-boceto', { slug: 'artes-boceto' }]
+    ]);
+    const getTermBySlug = slug => terms.get(slug) || null;
+
+    it('skips slugs that no longer match a term but keeps them saved', () => {
+        const storage = createStorage({ 'itsc-dictionary-favorites': '["artes-boceto","informatica-renombrado","salud-asepsia"]' });
+        const favorites = new FavoritesStore({ storage, logger: silent });
+
+        assert.deepEqual(favorites.getTerms(getTermBySlug).map(term => term.slug), ['artes-boceto', 'salud-asepsia']);
+        assert.ok(favorites.has('informatica-renombrado'));
+        assert.equal(favorites.size, 3);
+
+        favorites.toggle('salud-asepsia');
+        assert.match(storage.items.get('itsc-dictionary-favorites'), /informatica-renombrado/);
+    });
+
+    it('lists a term once when two saved slugs resolve to it', () => {
+        const favorites = new FavoritesStore({ storage: createStorage(), logger: silent });
+        favorites.toggle('salud-asepsia');
+        favorites.toggle('salud-asepsia-2');
+
+        const aliases = slug => terms.get(slug.replace(/-2$/, '')) || null;
+        assert.deepEqual(favorites.getTerms(aliases).map(term => term.slug), ['salud-asepsia']);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuizGenerator } from '../js/quiz-generator.js';
+import { SearchEngine } from '../js/search-engine.js';
+
+/**
+ * Seeded random source in [0, 1) (mulberry32), so every run asks the same quiz
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function makeTerm(termino_formal, dominicanismo, area = 'informatica', categoria = 'Redes') {
+    return { termino_formal, dominicanismo, definicion: '', ejemplo_uso: '', categoria, area };
+}
+
+const REDES = [
+    makeTerm('Router', 'El ruter'),
+    makeTerm('Switch', 'El suitch'),
+    makeTerm('Firewall', 'El cortafuego'),
+    makeTerm('Cable de red', 'El cable')
+];
+const SOFTWARE = [
+    makeTerm('Compilador', 'El compilador', 'informatica', 'Software'),
+    makeTerm('Depuración', 'Caza de errores', 'informatica', 'Software')
+];
+const SALUD = [
+    makeTerm('Asepsia', 'Limpieza total', 'salud', 'Enfermería'),
+    makeTerm('Triaje', 'La clasificación', 'salud', 'Enfermería')
+];
+
+function createGenerator(seed = 1) {
+    return new QuizGenerator(new SearchEngine(), createRandom(seed));
+}
+
+describe('QuizGenerator.createQuestion', () => {
+    it('takes distractors from the same categoria when it has enough terms', () => {
+        const deck = [...REDES, ...SOFTWARE, ...SALUD];
+
+        for (let seed = 1; seed <= 20; seed++) {
+            const question = createGenerator(seed).createQuestion(REDES[0], 'formal', deck);
+            assert.deepEqual([...question.options].sort(), ['Cable de red', 'Firewall', 'Router', 'Switch']);
+        }
+    });
+
+    it('falls back to the same area, then to the rest of the deck', () => {
+        const sameArea = createGenerator().createQuestion(SOFTWARE[0], 'formal', [...REDES.slice(0, 2), ...SOFTWARE, ...SALUD]);
+        assert.ok(sameArea.options.every(option => !['Asepsia', 'Triaje'].includes(option)));
+
+        const wholeDeck = createGenerator().createQuestion(SALUD[0], 'formal', [...SALUD, ...SOFTWARE]);
+        assert.deepEqual([...wholeDeck.options].sort(), ['Asepsia', 'Compilador', 'Depuración', 'Triaje']);
+    });
+
+    it('returns null when fewer than 4 distinct answers are available', () => {
+        const generator = createGenerator();
+
+        assert.equal(generator.createQuestion(REDES[0], 'formal', REDES.slice(0, 3)), null);
+        assert.deepEqual(generator.generate(REDES.slice(0, 3), { count: 5 }), []);
+    });
+
+    it('never repeats an option, comparing without case or accents', () => {
+        const deck = [
+            ...REDES,
+            makeTerm('router', 'Otro ruter'),
+            makeTerm('Fírewall', 'Otro cortafuego'),
+            // Shares the prompt, so its answer would also be right
+            makeTerm('Enrutador', 'El ruter')
+        ];
+
+        for (let seed = 1; seed <= 30; seed++) {
+            const { options } = createGenerator(seed).createQuestion(REDES[0], 'formal', deck);
+            const normalized = options.map(option => new SearchEngine().normalizeText(option));
+            assert.equal(new Set(normalized).size, 4, options.join(', '));
+            assert.ok(!options.includes('Enrutador'));
+        }
+    });
+
+    it('points answerIndex at the answer, which lands in every position across seeds', () => {
+        const positions = new Set();
+
+        for (let seed = 1; seed <= 40; seed++) {
+            const question = createGenerator(seed).createQuestion(REDES[1], 'dominicanismo', REDES);
+            assert.equal(question.options[question.answerIndex], 'El suitch');
+            assert.equal(question.prompt, "¿Cuál es el dominicanismo de 'Switch'?");
+            positions.add(question.answerIndex);
+        }
+
+        assert.deepEqual([...positions].sort(), [0, 1, 2, 3]);
+    });
+});
+
+describe('QuizGenerator.generate', () => {
+    const deck = [...REDES, ...SOFTWARE, ...SALUD];
+
+    it('asks about different terms, capped by count', () => {
+        const questions = createGenerator().generate(deck, { count: 5 });
+
+        assert.equal(questions.length, 5);
+        assert.equal(new Set(questions.map(question => question.term)).size, 5);
+        assert.equal(createGenerator().generate(deck, { count: 50 }).length, deck.length);
+    });
+
+    it('is repeatable with the same seed', () => {
+        const prompts = seed => createGenerator(seed).generate(deck, { count: 4 }).map(question => question.prompt);
+
+        assert.deepEqual(prompts(7), prompts(7));
+    });
+
+    it('mixes both directions in mixto mode', () => {
+        const directions = new Set(createGenerator(3).generate(deck, { count: 8, direction: 'mixto' })
+            .map(question => question.direction));
+
+        assert.deepEqual([...directions].sort(), ['dominicanismo', 'formal']);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReviewScheduler } from '../js/review-scheduler.js';
+
+const silent = { warn() {} };
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+/**
+ * Grade the same term repeatedly and collect each resulting state
+ */
+function reviewRepeatedly(scheduler, grades) {
+    let state = null;
+    return grades.map(quality => {
+        state = scheduler.schedule(state, quality);
+        return state;
+    });
+}
+
+describe('ReviewScheduler.schedule', () => {
+    const scheduler = new ReviewScheduler({ storage: createStorage(), logger: silent });
+
+    it('grows the interval 1 day, 6 days, then by the ease factor', () => {
+        const states = reviewRepeatedly(scheduler, [4, 4, 4, 4]);
+
+        assert.deepEqual(states.map(state => state.interval), [1, 6, 15, 38]);
+        assert.deepEqual(states.map(state => state.repetitions), [1, 2, 3, 4]);
+        // A grade of 4 leaves the ease factor where it was
+        assert.ok(states.every(state => state.easeFactor === 2.5));
+    });
+
+    it('multiplies by the updated ease factor after perfect recalls', () => {
+        const states = reviewRepeatedly(scheduler, [5, 5, 5]);
+
+        assert.deepEqual(states.map(state => state.easeFactor), [2.6, 2.7, 2.8]);
+        assert.equal(states[2].interval, Math.round(6 * 2.7));
+    });
+
+    it('restarts the repetitions on grades below 3 without changing the ease factor', () => {
+        const state = { repetitions: 3, interval: 15, easeFactor: 2.2 };
+
+        for (const quality of [0, 1, 2]) {
+            assert.deepEqual(scheduler.schedule(state, quality), { repetitions: 0, interval: 1, easeFactor: 2.2 });
+        }
+        // The next good recall starts the progression again
+        assert.equal(scheduler.schedule(scheduler.schedule(state, 1), 4).interval, 1);
+    });
+
+    it('never lets the ease factor fall below 1.3', () => {
+        const states = reviewRepeatedly(scheduler, Array(15).fill(3));
+
+        assert.equal(states[states.length - 1].easeFactor, 1.3);
+        assert.ok(states.every(state => state.easeFactor >= 1.3));
+        assert.equal(scheduler.schedule({ repetitions: 2, interval: 6, easeFactor: 1.3 }, 3).easeFactor, 1.3);
+    });
+});
+
+describe('ReviewScheduler due terms', () => {
+    const terms = [{ slug: 'salud-asepsia' }, { slug: 'informatica-red' }, { slug: 'artes-boceto' }];
+
+    it('counts a term as due from the day after a one-day interval, across a month boundary', () => {
+        const scheduler = new ReviewScheduler({ storage: createStorage(), logger: silent });
+        const state = scheduler.review('salud-asepsia', 4, '2026-01-31');
+
+        assert.equal(state.due, '2026-02-01');
+        assert.equal(scheduler.getDueCount(terms, '2026-01-31'), 0);
+        assert.equal(scheduler.getDueCount(terms, '2026-02-01'), 1);
+        assert.equal(scheduler.getDueCount(terms, '2026-02-15'), 1);
+    });
+
+    it('schedules across a year boundary and ignores terms never reviewed', () => {
+        const scheduler = new ReviewScheduler({ storage: createStorage(), logger: silent });
+        scheduler.review('salud-asepsia', 4, '2025-12-31');
+        scheduler.review('informatica-red', 4, '2025-12-26');
+        scheduler.review('informatica-red', 4, '2025-12-27');
+
+        assert.equal(scheduler.getState('informatica-red').due, '2026-01-02');
+        assert.equal(scheduler.getDueCount(terms, '2025-12-31'), 0);
+        assert.equal(scheduler.getDueCount(terms, '2026-01-01'), 1);
+        assert.equal(scheduler.getDueCount(terms, '2026-01-02'), 2);
+    });
+
+    it('uses the local calendar day, so a review just before midnight belongs to that day', () => {
+        assert.equal(ReviewScheduler.getDayKey(new Date(2025, 11, 31, 23, 59)), '2025-12-31');
+        assert.equal(ReviewScheduler.getDayKey(new Date(2026, 0, 1, 0, 1)), '2026-01-01');
+        assert.equal(ReviewScheduler.addDays('2024-02-28', 1), '2024-02-29');
+    });
+});
+
+describe('ReviewScheduler storage', () => {
+    it('saves reviews and reads them back in a new scheduler', () => {
+        const storage = createStorage();
+        new ReviewScheduler({ storage, logger: silent }).review('artes-boceto', 5, '2026-03-01');
+
+        const reloaded = new ReviewScheduler({ storage, logger: silent });
+        assert.equal(reloaded.getState('artes-boceto').lastReview, '2026-03-01');
+        assert.ok(reloaded.isDue('artes-boceto', '2026-03-02'));
+    });
+
+    it('starts from scratch when the saved progress is unreadable', () => {
+        const storage = createStorage({ 'itsc-dictionary-study': '{not json' });
+
+        assert.deepEqual(new ReviewScheduler({ storage, logger: silent }).states, {});
+    });
+});
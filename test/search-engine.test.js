@@ -0,0 +1,278 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchEngine, QuerySyntaxError } from '../js/search-engine.js';
+
+const TERMS = [
+    { termino_formal: 'Aplicación', dominicanismo: 'El app', definicion: 'Programa', ejemplo_uso: 'Bájate el app.', categoria: 'Software', area: 'informatica' },
+    { termino_formal: 'Base de datos', dominicanismo: 'Banco de información', definicion: 'Datos organizados', ejemplo_uso: 'Está en la base.', categoria: 'Software', area: 'informatica' },
+    { termino_formal: 'Cigüeñal', dominicanismo: 'El cigüeñal', definicion: 'Eje del motor', ejemplo_uso: 'Se rompió el cigüeñal.', categoria: 'Motores', area: 'electromecanica' }
+];
+
+describe('SearchEngine.normalizeText', () => {
+    const searchEngine = new SearchEngine();
+
+    it('removes accents and lowercases', () => {
+        assert.equal(searchEngine.normalizeText('APLICACIÓN'), 'aplicacion');
+        assert.equal(searchEngine.normalizeText('Electromecánica Básica'), 'electromecanica basica');
+    });
+
+    it('folds ñ and ü to their base letters', () => {
+        assert.equal(searchEngine.normalizeText('Cigüeñal'), 'ciguenal');
+        assert.equal(searchEngine.normalizeText('Niño'), 'nino');
+    });
+
+    it('handles text that is already decomposed (NFD)', () => {
+        assert.equal(searchEngine.normalizeText('Aplicación'), 'aplicacion');
+    });
+
+    it('trims surrounding whitespace', () => {
+        assert.equal(searchEngine.normalizeText('  Red  '), 'red');
+    });
+
+    it('returns an empty string for empty and non-string input', () => {
+        assert.equal(searchEngine.normalizeText(''), '');
+        assert.equal(searchEngine.normalizeText(null), '');
+        assert.equal(searchEngine.normalizeText(undefined), '');
+        assert.equal(searchEngine.normalizeText(42), '');
+    });
+
+    it('makes search accent-insensitive in both directions', () => {
+        const engine = new SearchEngine(TERMS);
+        assert.equal(engine.search('aplicacion')[0].term.termino_formal, 'Aplicación');
+        assert.equal(engine.search('cigueñal')[0].term.termino_formal, 'Cigüeñal');
+    });
+});
+
+describe('SearchEngine.debouncedSearch', () => {
+    let searchEngine;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        searchEngine = new SearchEngine(TERMS);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('waits for the debounce delay before searching', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('base', callback);
+
+        mock.timers.tick(searchEngine.searchDebounceDelay - 1);
+        assert.equal(callback.mock.callCount(), 0);
+
+        mock.timers.tick(1);
+        assert.equal(callback.mock.callCount(), 1);
+        assert.equal(callback.mock.calls[0].arguments[0][0].term.termino_formal, 'Base de datos');
+        assert.equal(callback.mock.calls[0].arguments[1], null);
+    });
+
+    it('only runs the last of several quick calls', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('apl', callback);
+        mock.timers.tick(searchEngine.searchDebounceDelay / 2);
+        searchEngine.debouncedSearch('base', callback);
+        mock.timers.tick(searchEngine.searchDebounceDelay / 2);
+        searchEngine.debouncedSearch('cig', callback);
+
+        mock.timers.tick(searchEngine.searchDebounceDelay);
+        assert.equal(callback.mock.callCount(), 1);
+        assert.equal(callback.mock.calls[0].arguments[0][0].term.termino_formal, 'Cigüeñal');
+    });
+
+    it('restarts the delay on every call', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('apl', callback);
+        mock.timers.tick(searchEngine.searchDebounceDelay - 1);
+        searchEngine.debouncedSearch('apli', callback);
+        mock.timers.tick(searchEngine.searchDebounceDelay - 1);
+        assert.equal(callback.mock.callCount(), 0);
+
+        mock.timers.tick(1);
+        assert.equal(callback.mock.callCount(), 1);
+    });
+
+    it('passes the search options through', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('motor', callback, { fullText: true });
+        mock.timers.tick(searchEngine.searchDebounceDelay);
+        assert.equal(callback.mock.calls[0].arguments[0][0].term.termino_formal, 'Cigüeñal');
+    });
+
+    it('reports query syntax errors instead of throwing', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('(red', callback);
+        mock.timers.tick(searchEngine.searchDebounceDelay);
+
+        const [results, queryError] = callback.mock.calls[0].arguments;
+        assert.deepEqual(results, []);
+        assert.ok(queryError instanceof QuerySyntaxError);
+    });
+
+    it('is cancelled by clearDebounce()', () => {
+        const callback = mock.fn();
+        searchEngine.debouncedSearch('base', callback);
+        searchEngine.clearDebounce();
+
+        mock.timers.tick(searchEngine.searchDebounceDelay * 2);
+        assert.equal(callback.mock.callCount(), 0);
+        assert.equal(searchEngine.searchDebounceTimeout, null);
+    });
+});
+
+describe('SearchEngine.suggest', () => {
+    const searchEngine = new SearchEngine(TERMS);
+
+    it('ranks prefix matches first and formal terms above dominicanismos', () => {
+        const suggestions = searchEngine.suggest('ba');
+        assert.deepEqual(suggestions.map(({ term, field }) => [term.termino_formal, field]), [
+            ['Base de datos', 'termino_formal']
+        ]);
+
+        assert.deepEqual(searchEngine.suggest('cig').map(({ field }) => field), ['termino_formal']);
+        assert.deepEqual(searchEngine.suggest('banco').map(({ field }) => field), ['dominicanismo']);
+    });
+
+    it('takes the text literally and does not tolerate typos', () => {
+        assert.deepEqual(searchEngine.suggest('"base'), []);
+        assert.deepEqual(searchEngine.suggest('bace de datos'), []);
+        assert.deepEqual(searchEngine.suggest('   '), []);
+    });
+
+    it('honours the limit and area options', () => {
+        assert.equal(searchEngine.suggest('a', { limit: 2 }).length, 2);
+        assert.deepEqual(
+            searchEngine.suggest('el', { area: 'electromecanica' }).map(({ term }) => term.termino_formal),
+            ['Cigüeñal']
+        );
+    });
+
+    it('returns the matched ranges in the original, accented text', () => {
+        const [suggestion] = searchEngine.suggest('aplicacion');
+        assert.deepEqual(suggestion.ranges, [{ start: 0, end: 10 }]);
+    });
+});
+
+describe('SearchEngine.findMatchRanges', () => {
+    const searchEngine = new SearchEngine();
+
+    it('maps accent-insensitive matches back to the original characters', () => {
+        const text = 'Cigüeñal del cigueñal';
+        const ranges = searchEngine.findMatchRanges(text, 'ciguenal');
+        assert.deepEqual(ranges.map(({ start, end }) => text.slice(start, end)), ['Cigüeñal', 'cigueñal']);
+    });
+
+    it('keeps decomposed accents inside the range', () => {
+        const text = 'Aplicación'.normalize('NFD');
+        const [range] = searchEngine.findMatchRanges(text, 'aplicacion');
+        assert.equal(text.slice(range.start, range.end), text);
+    });
+
+    it('returns no ranges when nothing matches', () => {
+        assert.deepEqual(searchEngine.findMatchRanges('Red', 'servidor'), []);
+        assert.deepEqual(searchEngine.findMatchRanges('', 'red'), []);
+    });
+});
+
+describe('SearchEngine.findAlternatives', () => {
+    const searchEngine = new SearchEngine(TERMS);
+
+    it('corrects misspelled words with the dictionary vocabulary, accents included', () => {
+        assert.deepEqual(searchEngine.findAlternatives('aplicasion').corrections, [
+            { query: 'aplicación', count: 1 }
+        ]);
+        assert.deepEqual(searchEngine.findAlternatives('bse').corrections, [
+            { query: 'base', count: 1 }
+        ]);
+    });
+
+    it('only keeps corrections that find something', () => {
+        assert.deepEqual(searchEngine.findAlternatives('bse', { area: 'electromecanica' }).corrections, []);
+    });
+
+    it('lists the closest terms by edit distance', () => {
+        const { closestTerms } = searchEngine.findAlternatives('sigueñall');
+        assert.deepEqual(closestTerms.map(({ term, field }) => [term.termino_formal, field]), [
+            ['Cigüeñal', 'termino_formal']
+        ]);
+        assert.equal(closestTerms[0].distance, 2);
+    });
+
+    it('offers definition matches for descriptions unless full text was searched', () => {
+        const description = 'datos que quedan organizados';
+        assert.deepEqual(
+            searchEngine.findAlternatives(description).definitionMatches.map(({ term }) => term.termino_formal),
+            ['Base de datos']
+        );
+        assert.deepEqual(searchEngine.findAlternatives(description, { fullText: true }).definitionMatches, []);
+    });
+
+    it('takes queries that use the search syntax as meant', () => {
+        assert.deepEqual(searchEngine.findAlternatives('"bse"'), {
+            corrections: [],
+            closestTerms: [],
+            definitionMatches: []
+        });
+    });
+});
+
+describe('SearchEngine highlighting', () => {
+    const searchEngine = new SearchEngine(TERMS);
+    const highlighted = (text, field, query, options) => searchEngine
+        .findHighlightRanges(text, field, searchEngine.getHighlightTerms(query, options))
+        .map(({ start, end }) => text.slice(start, end));
+
+    it('highlights accent-insensitively in the original text', () => {
+        assert.deepEqual(highlighted('Aplicación', 'termino_formal', 'aplicacion'), ['Aplicación']);
+        assert.deepEqual(highlighted('El cigüeñal', 'dominicanismo', 'CIGUEÑAL'), ['cigüeñal']);
+    });
+
+    it('only highlights the opt-in fields when they were searched', () => {
+        assert.deepEqual(highlighted('Datos organizados', 'definicion', 'datos'), []);
+        assert.deepEqual(highlighted('Datos organizados', 'definicion', 'datos', { fullText: true }), ['Datos']);
+        assert.deepEqual(highlighted('Datos organizados', 'definicion', 'def:organizados'), ['organizados']);
+        assert.deepEqual(highlighted('Base de datos', 'termino_formal', 'def:datos'), []);
+    });
+
+    it('skips excluded terms and merges overlapping ones', () => {
+        assert.deepEqual(highlighted('Base de datos', 'termino_formal', 'base -datos'), ['Base']);
+        assert.deepEqual(highlighted('Base de datos', 'termino_formal', '"base de" OR "de datos"'), ['Base de datos']);
+    });
+
+    it('falls back to single words when the whole text does not appear', () => {
+        assert.deepEqual(highlighted('Base de datos', 'termino_formal', 'bace de datos'), ['datos']);
+    });
+
+    it('highlights nothing for malformed queries', () => {
+        assert.deepEqual(searchEngine.getHighlightTerms('(base'), []);
+    });
+});
+
+describe('SearchEngine.sortTerms', () => {
+    const searchEngine = new SearchEngine();
+    const terms = [
+        { termino_formal: 'Ñame', dominicanismo: 'El ñame' },
+        { termino_formal: '¿Qué aprendimos?', dominicanismo: 'El recuento' },
+        { termino_formal: 'árbol', dominicanismo: 'La mata' },
+        { termino_formal: 'Nube', dominicanismo: 'La nube' },
+        { termino_formal: '3D', dominicanismo: 'Tres de' }
+    ];
+
+    it('sorts ignoring accents, case and leading punctuation', () => {
+        assert.deepEqual(searchEngine.sortTerms(terms, 'termino_formal').map(term => term.termino_formal),
+            ['3D', 'árbol', 'Ñame', 'Nube', '¿Qué aprendimos?']);
+    });
+
+    it('sorts by any field without modifying the input', () => {
+        const copy = terms.slice();
+        assert.deepEqual(searchEngine.sortTerms(terms, 'dominicanismo').map(term => term.dominicanismo),
+            ['El ñame', 'El recuento', 'La mata', 'La nube', 'Tres de']);
+        assert.deepEqual(terms, copy);
+    });
+
+    it('files terms under their first letter, with digits under "#"', () => {
+        assert.deepEqual(terms.map(term => searchEngine.getInitialLetter(term.termino_formal)),
+            ['N', 'Q', 'A', 'N', '#']);
+    });
+});
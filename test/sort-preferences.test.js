@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SortPreferences } from '../js/sort-preferences.js';
+
+const silent = { warn() {} };
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+/**
+ * Preferences over storage that already holds the given saved value
+ */
+function withSaved(saved) {
+    const storage = createStorage({ 'itsc-dictionary-sort': typeof saved === 'string' ? saved : JSON.stringify(saved) });
+    return new SortPreferences({ storage, logger: silent });
+}
+
+describe('SortPreferences.get', () => {
+    it('uses the defaults of each view when nothing is saved', () => {
+        const preferences = new SortPreferences({ storage: createStorage(), logger: silent });
+
+        assert.deepEqual(preferences.get('search'), { sort: 'relevance', group: 'none' });
+        assert.deepEqual(preferences.get('area'), { sort: 'termino_formal', group: 'none' });
+        assert.deepEqual(preferences.get('favorites'), { sort: 'termino_formal', group: 'area' });
+    });
+
+    it('falls back to the view defaults for unknown stored values, one field at a time', () => {
+        const preferences = withSaved({
+            search: { sort: 'fecha', group: 'categoria' },
+            area: { sort: 'dominicanismo', group: 'color' },
+            favorites: { sort: 42, group: null }
+        });
+
+        assert.deepEqual(preferences.get('search'), { sort: 'relevance', group: 'categoria' });
+        assert.deepEqual(preferences.get('area'), { sort: 'dominicanismo', group: 'none' });
+        assert.deepEqual(preferences.get('favorites'), { sort: 'termino_formal', group: 'area' });
+    });
+
+    it('does not take a value allowed in another view', () => {
+        // Areas list one area and have no relevance score
+        const preferences = withSaved({ area: { sort: 'relevance', group: 'area' } });
+
+        assert.deepEqual(preferences.get('area'), { sort: 'termino_formal', group: 'none' });
+    });
+
+    it('uses the defaults when the stored preferences are corrupted or of the wrong shape', () => {
+        for (const saved of ['{"search":', '["relevance"]', '"area"', 'null', { search: 'dominicanismo', area: null }]) {
+            const preferences = withSaved(saved);
+            assert.deepEqual(preferences.get('search'), { sort: 'relevance', group: 'none' }, String(saved));
+            assert.deepEqual(preferences.get('area'), { sort: 'termino_formal', group: 'none' }, String(saved));
+        }
+    });
+});
+
+describe('SortPreferences.set', () => {
+    it('saves each view separately and reads them back in a new instance', () => {
+        const storage = createStorage();
+        const preferences = new SortPreferences({ storage, logger: silent });
+        preferences.set('search', { group: 'area' });
+        preferences.set('area', { sort: 'dominicanismo' });
+
+        const reloaded = new SortPreferences({ storage, logger: silent });
+        assert.deepEqual(reloaded.get('search'), { sort: 'relevance', group: 'area' });
+        assert.deepEqual(reloaded.get('area'), { sort: 'dominicanismo', group: 'none' });
+        assert.deepEqual(reloaded.get('favorites'), { sort: 'termino_formal', group: 'area' });
+    });
+
+    it('never stores a value the view does not allow', () => {
+        const storage = createStorage();
+        const preferences = new SortPreferences({ storage, logger: silent });
+        preferences.set('area', { sort: 'dominicanismo' });
+        preferences.set('area', { sort: 'relevance', group: 'area' });
+
+        assert.deepEqual(JSON.parse(storage.items.get('itsc-dictionary-sort')), {
+            area: { sort: 'termino_formal', group: 'none' }
+        });
+    });
+
+    it('keeps the preferences in memory when storage is unavailable', () => {
+        const warnings = [];
+        const storage = createStorage();
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        const preferences = new SortPreferences({ storage, logger: { warn: message => warnings.push(message) } });
+        preferences.set('favorites', { group: 'categoria' });
+
+        assert.deepEqual(preferences.get('favorites'), { sort: 'termino_formal', group: 'categoria' });
+        assert.equal(warnings.length, 1);
+
+        const withoutStorage = new SortPreferences({ storage: null, logger: silent });
+        withoutStorage.set('search', { sort: 'dominicanismo' });
+        assert.equal(withoutStorage.get('search').sort, 'dominicanismo');
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TermExporter } from '../js/term-exporter.js';
+
+/**
+ * Build a loaded term (with its area), overriding some of its fields
+ */
+function makeTerm(overrides = {}) {
+    return {
+        termino_formal: 'Servidor web',
+        dominicanismo: 'El server',
+        definicion: 'Programa que entrega páginas web.',
+        ejemplo_uso: 'Se cayó el server.',
+        categoria: 'Redes',
+        area: 'informatica',
+        slug: 'informatica-servidor-web',
+        ...overrides
+    };
+}
+
+describe('TermExporter.toCSV', () => {
+    const exporter = new TermExporter();
+
+    it('starts with a UTF-8 byte order mark and ends every line with CRLF', () => {
+        const csv = exporter.toCSV([makeTerm()]);
+
+        assert.ok(csv.startsWith('\uFEFFtermino_formal,dominicanismo,'));
+        assert.ok(csv.endsWith('\r\n'));
+        assert.equal(csv.split('\r\n').length, 3);
+        assert.ok(!/[^\r]\n/.test(csv));
+    });
+
+    it('keeps accents and ñ as they are', () => {
+        const csv = exporter.toCSV([makeTerm({ termino_formal: 'Cigüeñal', categoria: 'Mecánica' })]);
+
+        assert.ok(csv.includes('Cigüeñal,'));
+        assert.ok(csv.includes(',Mecánica,'));
+    });
+
+    it('quotes fields with commas, quotes and line breaks, doubling inner quotes', () => {
+        const csv = exporter.toCSV([makeTerm({
+            dominicanismo: 'El "server"',
+            definicion: 'Entrega páginas, imágenes y datos',
+            ejemplo_uso: 'Primera línea\nSegunda línea'
+        })]);
+        const row = csv.split('\r\n')[1];
+
+        assert.ok(row.startsWith('Servidor web,"El ""server""","Entrega páginas, imágenes y datos","Primera línea\nSegunda línea",Redes,'));
+    });
+
+    it('joins list fields with semicolons and leaves missing fields empty', () => {
+        const csv = exporter.toCSV([makeTerm({ categoria: null, sinonimos: ['Server', 'Host'] })]);
+
+        assert.equal(csv.split('\r\n')[1], 'Servidor web,El server,Programa que entrega páginas web.,Se cayó el server.,,Server; Host,,informatica');
+    });
+
+    it('neutralises cells a spreadsheet would read as a formula', () => {
+        const csv = exporter.toCSV([makeTerm({
+            termino_formal: '=HYPERLINK("http://x")',
+            dominicanismo: '+1',
+            definicion: '-2+3',
+            ejemplo_uso: '@SUM(A1)',
+            categoria: 'Uso del signo = en fórmulas'
+        })]);
+        const row = csv.split('\r\n')[1];
+
+        assert.ok(row.startsWith(`"'=HYPERLINK(""http://x"")",'+1,'-2+3,'@SUM(A1),Uso del signo = en fórmulas,`));
+    });
+});
+
+describe('TermExporter.toAnkiTSV', () => {
+    const exporter = new TermExporter();
+
+    it('writes the Anki header lines and one note per term', () => {
+        const lines = exporter.toAnkiTSV([makeTerm(), makeTerm({ termino_formal: 'Red' })]).trimEnd().split('\n');
+
+        assert.deepEqual(lines.slice(0, 3), ['#separator:tab', '#html:true', '#tags column:3']);
+        assert.equal(lines.length, 5);
+        assert.equal(lines[3].split('\t').length, 3);
+    });
+
+    it('turns line breaks into <br> and escapes HTML so fields stay on one line', () => {
+        const line = exporter.toAnkiTSV([makeTerm({
+            termino_formal: 'Etiqueta <b>',
+            definicion: 'Primera línea\r\nSegunda & última'
+        })]).split('\n')[3];
+
+        assert.ok(line.startsWith('Etiqueta &lt;b&gt;\t'));
+        assert.ok(line.includes('Primera línea<br>Segunda &amp; última'));
+    });
+
+    it('quotes fields that contain a tab', () => {
+        const line = exporter.toAnkiTSV([makeTerm({ termino_formal: 'Tecla\tTab' })]).split('\n')[3];
+
+        assert.ok(line.startsWith('"Tecla\tTab"\t'));
+    });
+
+    it('tags notes with the area and categoria, without spaces', () => {
+        const line = exporter.toAnkiTSV([makeTerm({ categoria: 'Desarrollo de Software' })]).split('\n')[3];
+
+        assert.ok(line.endsWith('\tinformatica Desarrollo_de_Software'));
+    });
+});
+
+describe('TermExporter.toJSON', () => {
+    it('writes the data file schema without the area and slug added at load time', () => {
+        const exporter = new TermExporter();
+        const [entry] = JSON.parse(exporter.toJSON([makeTerm({ relacionados: ['Red'] })]));
+
+        assert.deepEqual(Object.keys(entry), ['termino_formal', 'dominicanismo', 'definicion', 'ejemplo_uso', 'categoria', 'relacionados']);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => new TermExporter().export([], 'xlsx'), /desconocido/);
+    });
+});
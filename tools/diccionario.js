@@ -0,0 +1,402 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Command-line tool for content editors: queries and maintains the files in
+ * data/ with the same SearchEngine, DataLoader and DataValidator the app uses.
+ *
+ * Usage: node tools/diccionario.js <comando> [opciones]
+ *   search <consulta> [--area <id>] [--completo] [--limite <n>]
+ *   list [--area <id>] [--categoria <nombre>]
+ *   validate [--json]
+ *   stats
+ *   add [--area <id>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { SearchEngine, QuerySyntaxError } from '../js/search-engine.js';
+import { DataLoader, DataValidator, SchemaValidator } from '../js/data-loader.js';
+import { createFileFetch } from './file-fetch.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+
+const USAGE = `Uso: node tools/diccionario.js <comando> [opciones]
+
+Comandos:
+  search <consulta>   Buscar términos (misma sintaxis que el buscador de la app)
+      --area <id>         Solo en un área
+      --completo          Buscar también en definición, ejemplo y categoría
+      --limite <n>        Máximo de resultados (20 por defecto)
+  list                Listar términos en orden alfabético
+      --area <id>         Solo un área
+      --categoria <nom>   Solo una categoría (sin importar mayúsculas ni tildes)
+  validate            Reporte de validación de data/ (ver tools/validate-data.js)
+      --json              Salida en JSON
+  stats               Términos y categorías por área
+  add                 Agregar un término de forma interactiva
+      --area <id>         Área del término (si no, se pregunta)`;
+
+// Labels used when prompting for each schema field in "add"
+const FIELD_LABELS = {
+    termino_formal: 'Término formal',
+    dominicanismo: 'Dominicanismo',
+    definicion: 'Definición',
+    ejemplo_uso: 'Ejemplo de uso',
+    categoria: 'Categoría',
+    sinonimos: 'Sinónimos (opcional, separados por ";")',
+    relacionados: 'Relacionados (opcional, separados por ";")'
+};
+
+/**
+ * Error with a message meant for the user rather than a stack trace
+ */
+class UsageError extends Error {}
+
+// Options that take no value, so the argument after them is left alone
+const FLAG_OPTIONS = new Set(['completo', 'json']);
+
+/**
+ * Split command-line arguments into positionals and --options
+ * Flags (FLAG_OPTIONS) are true when present; other options take the next
+ * argument as their value, or are true if another option or nothing follows.
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{positionals: Array<string>, options: Object}} Parsed arguments
+ */
+function parseArgs(args) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2);
+            const next = args[i + 1];
+            options[name] = FLAG_OPTIONS.has(name) || next === undefined || next.startsWith('--') ? true : args[++i];
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Read and parse a file from data/
+ * @param {string} file - File name inside data/
+ * @returns {*} Parsed JSON
+ */
+function readDataFile(file) {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+/**
+ * Load the registry and every area file with DataLoader.loadAllData(),
+ * keeping the terms the app would show
+ * @returns {Promise<{dataLoader: DataLoader, terms: Array}>} Loader and all valid terms
+ */
+async function loadDictionary() {
+    // DataLoader logs dropped terms and repeated slugs; the validate command
+    // reports those properly, so keep the other commands' output clean
+    const silent = { log() {}, warn() {}, error() {} };
+    const dataLoader = new DataLoader({ fetch: createFileFetch(ROOT_DIR), logger: silent });
+    const terms = await dataLoader.loadAllData();
+    return { dataLoader, terms };
+}
+
+/**
+ * Resolve the --area option to a registry entry
+ * @param {DataLoader} dataLoader - Loader with the registry
+ * @param {string} area - Area id given by the user
+ * @returns {Object} Registry entry
+ * @throws {UsageError} If the area does not exist
+ */
+function requireArea(dataLoader, area) {
+    const entry = typeof area === 'string' ? dataLoader.getArea(area) : null;
+    if (!entry) {
+        throw new UsageError(`Área desconocida: ${area}. Áreas disponibles: ${dataLoader.academicAreas.join(', ')}`);
+    }
+    return entry;
+}
+
+/**
+ * Format a term as one line of output
+ * @param {Object} term - Term with area information
+ * @param {DataLoader} dataLoader - Loader used for the area name
+ * @returns {string} Line such as "Algoritmo — Receta de la compu [Informática · Programación]"
+ */
+function formatTerm(term, dataLoader) {
+    const place = [dataLoader.getAreaName(term.area), term.categoria].filter(Boolean).join(' · ');
+    return `${term.termino_formal} — ${term.dominicanismo} [${place}]`;
+}
+
+async function commandSearch({ positionals, options }) {
+    const query = positionals.join(' ').trim();
+    if (!query) {
+        throw new UsageError('Falta la consulta. Ejemplo: search "base de datos"');
+    }
+
+    const { dataLoader, terms } = await loadDictionary();
+    const areaTerms = options.area ? dataLoader.getAreaTerms(requireArea(dataLoader, options.area).id) : terms;
+    const limit = parseInt(options.limite, 10) || 20;
+
+    let results;
+    try {
+        results = new SearchEngine(areaTerms).search(query, { fullText: Boolean(options.completo) });
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            throw new UsageError(`Consulta inválida: ${error.message}`);
+        }
+        throw error;
+    }
+
+    results.slice(0, limit).forEach(result => {
+        console.log(`${formatTerm(result.term, dataLoader)}  (${result.matchType} en ${result.field}, ${result.score})`);
+    });
+
+    const shown = Math.min(results.length, limit);
+    console.log(`\n${results.length} resultados${shown < results.length ? `, mostrando ${shown}` : ''}`);
+}
+
+async function commandList({ options }) {
+    const { dataLoader, terms } = await loadDictionary();
+    const searchEngine = new SearchEngine();
+    let listed = options.area ? dataLoader.getAreaTerms(requireArea(dataLoader, options.area).id) : terms;
+
+    if (options.categoria !== undefined) {
+        const categoria = searchEngine.normalizeText(String(options.categoria));
+        listed = listed.filter(term => searchEngine.normalizeText(searchEngine.getTermCategoria(term)) === categoria);
+        if (listed.length === 0) {
+            const available = searchEngine.getCategoriaCounts(options.area ? dataLoader.getAreaTerms(options.area) : terms)
+                .map(({ categoria: name }) => name)
+                .filter(Boolean);
+            throw new UsageError(`No hay términos en la categoría "${options.categoria}". Categorías: ${available.join(', ')}`);
+        }
+    }
+
+    [...listed]
+        .sort((a, b) => a.termino_formal.localeCompare(b.termino_formal, 'es'))
+        .forEach(term => console.log(formatTerm(term, dataLoader)));
+
+    console.log(`\n${listed.length} términos`);
+}
+
+async function commandValidate({ options }) {
+    const problems = await new DataValidator(new DataLoader()).validateAll(async file => readDataFile(file));
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+
+    if (options.json) {
+        console.log(JSON.stringify(problems, null, 4));
+    } else {
+        problems.forEach(problem => console.log(DataValidator.formatProblem(problem)));
+        console.log(`\n${errors} errores, ${problems.length - errors} avisos`);
+    }
+
+    if (errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+async function commandStats() {
+    const { dataLoader, terms } = await loadDictionary();
+    const searchEngine = new SearchEngine();
+    // Terms without categoria are grouped under '' by getCategoriaCounts();
+    // like the app ("Sin categoría"), count them apart from the categorias
+    const countCategorias = list => {
+        const counts = searchEngine.getCategoriaCounts(list);
+        const uncategorized = counts.find(({ categoria }) => categoria === '');
+        return { categorias: counts.length - (uncategorized ? 1 : 0), uncategorized: uncategorized ? uncategorized.count : 0 };
+    };
+    const rows = dataLoader.areas.map(area => {
+        const areaTerms = dataLoader.getAreaTerms(area.id);
+        const rawCount = readDataFile(area.file).length;
+        return {
+            name: area.name,
+            terms: areaTerms.length,
+            ...countCategorias(areaTerms),
+            invalid: rawCount - areaTerms.length
+        };
+    });
+
+    const width = Math.max(...rows.map(row => row.name.length), 'Área'.length);
+    console.log(`${'Área'.padEnd(width)}  Términos  Categorías  Sin categoría  Inválidos`);
+    rows.forEach(row => {
+        console.log(`${row.name.padEnd(width)}  ${String(row.terms).padStart(8)}  ${String(row.categorias).padStart(10)}  ${String(row.uncategorized).padStart(13)}  ${String(row.invalid).padStart(9)}`);
+    });
+
+    const total = countCategorias(terms);
+    console.log(`\nTotal: ${terms.length} términos en ${rows.length} áreas, ${total.categorias} categorías`);
+    if (total.uncategorized > 0) {
+        console.log(`Sin categoría: ${total.uncategorized} términos`);
+    }
+    console.log(`Slugs repetidos: ${dataLoader.duplicateSlugs.length}`);
+}
+
+/**
+ * Create a line-based prompt that works both in a terminal and with piped input
+ * @returns {{ask: Function, close: Function}} ask(question) resolves with the trimmed answer
+ */
+function createPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    const lines = rl[Symbol.asyncIterator]();
+
+    return {
+        async ask(question) {
+            process.stdout.write(question);
+            const { value, done } = await lines.next();
+            if (done) {
+                throw new UsageError('\nEntrada cancelada; no se guardó nada');
+            }
+            return value.trim();
+        },
+        close: () => rl.close()
+    };
+}
+
+/**
+ * Find where a new term goes in its area file: alphabetically inside the
+ * last block of entries with the same categoria, or at the end of the file
+ * for a new categoria. Files are kept grouped by categoria.
+ * @param {Array} data - Raw contents of the area file
+ * @param {Object} entry - New term
+ * @returns {number} Index to insert at
+ */
+function findInsertIndex(data, entry) {
+    let blockEnd = -1;
+    for (let i = data.length - 1; i >= 0; i--) {
+        if (data[i] && data[i].categoria === entry.categoria) {
+            blockEnd = i;
+            break;
+        }
+    }
+    if (blockEnd === -1) {
+        return data.length;
+    }
+
+    let blockStart = blockEnd;
+    while (blockStart > 0 && data[blockStart - 1] && data[blockStart - 1].categoria === entry.categoria) {
+        blockStart--;
+    }
+
+    for (let i = blockStart; i <= blockEnd; i++) {
+        if (String(data[i].termino_formal).localeCompare(entry.termino_formal, 'es', { sensitivity: 'base' }) > 0) {
+            return i;
+        }
+    }
+    return blockEnd + 1;
+}
+
+async function commandAdd({ options }) {
+    const { dataLoader } = await loadDictionary();
+    // New entries must follow the full schema, not just what the app accepts
+    await dataLoader.loadTermSchema();
+    const searchEngine = new SearchEngine();
+    const prompt = createPrompt();
+
+    try {
+        let area = options.area ? requireArea(dataLoader, options.area) : null;
+        while (!area) {
+            dataLoader.areas.forEach((entry, index) => console.log(`  ${index + 1}. ${entry.name} (${entry.id})`));
+            const answer = await prompt.ask('Área (número o id): ');
+            area = dataLoader.areas[parseInt(answer, 10) - 1] || dataLoader.getArea(answer);
+        }
+
+        const filePath = path.join(DATA_DIR, area.file);
+        const text = fs.readFileSync(filePath, 'utf8');
+        const data = JSON.parse(text);
+        const categorias = searchEngine.getCategoriaCounts(dataLoader.getAreaTerms(area.id))
+            .map(({ categoria }) => categoria)
+            .filter(Boolean);
+
+        // Ask for every field in schema order, re-asking until the answer is valid.
+        // Optional fields may be left blank; list fields take ";"-separated values.
+        const { properties, required = [] } = dataLoader.termSchema.items;
+        const entry = {};
+        for (const field of Object.keys(properties)) {
+            if (field === 'categoria') {
+                categorias.forEach((categoria, index) => console.log(`  ${index + 1}. ${categoria}`));
+            }
+
+            for (;;) {
+                const answer = await prompt.ask(`${FIELD_LABELS[field] || field}: `);
+                if (answer === '' && !required.includes(field)) {
+                    break;
+                }
+
+                let value = answer;
+                if (properties[field].type === 'array') {
+                    value = answer.split(';').map(item => item.trim()).filter(Boolean);
+                } else if (field === 'categoria' && /^\d+$/.test(answer) && categorias[parseInt(answer, 10) - 1]) {
+                    value = categorias[parseInt(answer, 10) - 1];
+                }
+
+                const problems = SchemaValidator.validate(value, properties[field]);
+                const duplicate = field === 'termino_formal' && data.some(term =>
+                    term && dataLoader.slugify(term.termino_formal) === dataLoader.slugify(value));
+                const broken = dataLoader.referenceFields.includes(field) && problems.length === 0
+                    ? value.filter(name => !dataLoader.resolveTermReference(name, { ...entry, area: area.id }))
+                    : [];
+
+                if (problems.length > 0) {
+                    console.log(`  ${problems[0].message}`);
+                } else if (duplicate) {
+                    console.log(`  "${value}" ya existe en ${area.file}`);
+                } else if (broken.length > 0) {
+                    console.log(`  No hay ningún término llamado: ${broken.join(', ')}`);
+                } else {
+                    entry[field] = value;
+                    break;
+                }
+            }
+        }
+
+        const problems = dataLoader.getSchemaProblems(entry);
+        if (problems.length > 0) {
+            throw new UsageError(`El término no cumple el esquema: ${problems.map(problem => `${problem.path.join('.')}: ${problem.message}`).join('; ')}`);
+        }
+
+        console.log(`\n${JSON.stringify(entry, null, 4)}`);
+        const confirm = await prompt.ask(`¿Guardar en ${area.file}? (s/n): `);
+        if (!/^s/i.test(confirm)) {
+            console.log('No se guardó nada');
+            return;
+        }
+
+        const index = findInsertIndex(data, entry);
+        data.splice(index, 0, entry);
+        const trailingNewline = text.endsWith('\n') ? '\n' : '';
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 4) + trailingNewline);
+        console.log(`Guardado en data/${area.file}, posición ${index}`);
+    } finally {
+        prompt.close();
+    }
+}
+
+const COMMANDS = {
+    search: commandSearch,
+    list: commandList,
+    validate: commandValidate,
+    stats: commandStats,
+    add: commandAdd
+};
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!command || command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Comando desconocido: ${command}\n\n${USAGE}`);
+    }
+
+    await COMMANDS[command](parseArgs(args));
+}
+
+main().catch(error => {
+    console.error(error instanceof UsageError ? error.message : error.stack);
+    process.exitCode = 1;
+});
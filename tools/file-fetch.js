@@ -0,0 +1,28 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * fetch-compatible reader for local files, so DataLoader can load data/
+ * under Node exactly as it does in the browser:
+ *
+ *   new DataLoader({ fetch: createFileFetch(ROOT_DIR) })
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a fetch function that resolves URLs relative to a directory
+ * @param {string} rootDir - Directory that relative URLs such as "./data/salud.json" start from
+ * @returns {Function} async (url) => Response (status 404 for missing files)
+ */
+export function createFileFetch(rootDir) {
+    return async (url) => {
+        try {
+            return new Response(await readFile(path.join(rootDir, String(url))));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new Response(null, { status: 404 });
+            }
+            throw error;
+        }
+    };
+}
@@ -0,0 +1,245 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Icon generator: derives the web app manifest icons in icons/ from logo.png.
+ *
+ * Usage: node tools/generate-icons.js
+ * Only needs Node itself (zlib); handles the 8-bit RGBA, non-interlaced PNG
+ * that logo.png is saved as.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = path.join(ROOT_DIR, 'logo.png');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'icons');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const WHITE = [255, 255, 255, 255];
+
+/**
+ * Icons to generate. "scale" is the share of the icon the logo occupies;
+ * the round logo at 0.78 stays inside the 80% safe zone of maskable icons.
+ */
+const ICONS = [
+    { file: 'icon-192.png', size: 192, scale: 1, background: null },
+    { file: 'icon-512.png', size: 512, scale: 1, background: null },
+    { file: 'icon-maskable-512.png', size: 512, scale: 0.78, background: WHITE },
+    { file: 'apple-touch-icon.png', size: 180, scale: 0.85, background: WHITE }
+];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit RGBA, non-interlaced PNG
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, pixels: Buffer}} RGBA pixels
+ */
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('logo.png no es un archivo PNG válido');
+    }
+
+    let width = 0;
+    let height = 0;
+    const dataChunks = [];
+
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            const bitDepth = data[8];
+            const colorType = data[9];
+            const interlace = data[12];
+            if (bitDepth !== 8 || colorType !== 6 || interlace !== 0) {
+                throw new Error('Solo se admiten PNG RGBA de 8 bits sin entrelazado');
+            }
+        } else if (type === 'IDAT') {
+            dataChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += length + 12;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(dataChunks));
+    const stride = width * 4;
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        const previousRow = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? pixels[row + x - 4] : 0;
+            const up = y > 0 ? pixels[previousRow + x] : 0;
+            const upLeft = y > 0 && x >= 4 ? pixels[previousRow + x - 4] : 0;
+            let predictor = 0;
+
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = paeth(left, up, upLeft); break;
+                default: throw new Error(`Filtro PNG desconocido: ${filter}`);
+            }
+
+            pixels[row + x] = (line[x] + predictor) & 0xff;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} pixels - RGBA pixels
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(width, height, pixels) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        // Filter type 0 (none) per scanline; deflate does the rest
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Render the logo centered on a square canvas, downsampled with an area
+ * average over premultiplied alpha so edges stay clean
+ * @param {{width: number, height: number, pixels: Buffer}} image - Source image
+ * @param {Object} icon - Icon definition from ICONS
+ * @returns {Buffer} RGBA pixels of size icon.size x icon.size
+ */
+function renderIcon(image, icon) {
+    const { size, scale, background } = icon;
+    const output = Buffer.alloc(size * size * 4);
+    const side = Math.max(image.width, image.height);
+    const logoSize = size * scale;
+    const ratio = side / logoSize;
+    const offset = (size - logoSize) / 2;
+    // Pad the source to a square so the logo is never stretched
+    const padX = (side - image.width) / 2;
+    const padY = (side - image.height) / 2;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const sum = [0, 0, 0, 0];
+            let count = 0;
+            const x0 = (x - offset) * ratio - padX;
+            const y0 = (y - offset) * ratio - padY;
+
+            for (let sy = Math.floor(y0); sy < Math.ceil(y0 + ratio); sy++) {
+                for (let sx = Math.floor(x0); sx < Math.ceil(x0 + ratio); sx++) {
+                    count++;
+                    if (sx < 0 || sy < 0 || sx >= image.width || sy >= image.height) {
+                        continue;
+                    }
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.pixels[i + 3] / 255;
+                    sum[0] += image.pixels[i] * alpha;
+                    sum[1] += image.pixels[i + 1] * alpha;
+                    sum[2] += image.pixels[i + 2] * alpha;
+                    sum[3] += alpha;
+                }
+            }
+
+            let alpha = count > 0 ? sum[3] / count : 0;
+            let color = alpha > 0 ? sum.slice(0, 3).map(value => value / count / alpha) : [0, 0, 0];
+
+            if (background) {
+                color = color.map((value, channel) => value * alpha + background[channel] * (1 - alpha));
+                alpha = 1;
+            }
+
+            const o = (y * size + x) * 4;
+            output[o] = Math.round(color[0]);
+            output[o + 1] = Math.round(color[1]);
+            output[o + 2] = Math.round(color[2]);
+            output[o + 3] = Math.round(alpha * 255);
+        }
+    }
+
+    return output;
+}
+
+function main() {
+    const image = decodePng(fs.readFileSync(SOURCE));
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    ICONS.forEach(icon => {
+        const target = path.join(OUTPUT_DIR, icon.file);
+        fs.writeFileSync(target, encodePng(icon.size, icon.size, renderIcon(image, icon)));
+        console.log(`${path.relative(ROOT_DIR, target)} (${icon.size}x${icon.size})`);
+    });
+}
+
+main();
@@ -0,0 +1,141 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Search benchmark: compares the indexed SearchEngine.search() against the
+ * linear reference scan (SearchEngine.linearSearch()) on the real data files.
+ *
+ * Usage: node tools/search-benchmark.js [iterations]
+ * Exits with a non-zero status if any query returns different results.
+ */
+
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { fileURLToPath } from 'url';
+import { SearchEngine, QuerySyntaxError } from '../js/search-engine.js';
+import { DataLoader } from '../js/data-loader.js';
+import { createFileFetch } from './file-fetch.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Load every academic area with DataLoader.loadAllData()
+ * @returns {Promise<Array>} Array of all valid terms with area information
+ */
+function loadTerms() {
+    const silent = { log() {}, warn() {}, error() {} };
+    return new DataLoader({ fetch: createFileFetch(ROOT_DIR), logger: silent }).loadAllData();
+}
+
+/**
+ * Build a query set that exercises every match type
+ * @param {Array} terms - Loaded terms
+ * @returns {Array<string>} Queries
+ */
+function buildQueries(terms) {
+    const queries = new Set([
+        'a', 'e', 'red', 'maquina', 'algorimo', 'bace de datos', 'servidr', 'ción', 'de la', 'zzz',
+        'def:servidor', 'jerga:máquina', 'cat:"Diseño Gráfico"', 'ej:paciente', 'cat:enfermeria',
+        '"base de datos" -relacional', 'red OR servidor', '(red OR wifi) -cable', 'def:(agua OR aire) -presion'
+    ]);
+
+    terms.forEach((term, index) => {
+        // Sample a fraction of the dataset to keep the run short
+        if (index % 7 !== 0) {
+            return;
+        }
+        const formal = term.termino_formal;
+        queries.add(formal);
+        queries.add(formal.slice(0, 3));
+        queries.add(term.dominicanismo.split(' ').slice(-1)[0]);
+
+        // Drop one character in the middle to simulate a typo
+        if (formal.length > 5) {
+            const middle = Math.floor(formal.length / 2);
+            queries.add(formal.slice(0, middle) + formal.slice(middle + 1));
+        }
+    });
+
+    return Array.from(queries);
+}
+
+// Option sets every query is checked with
+const SEARCH_OPTIONS = [{ fullText: false }, { fullText: true }];
+
+/**
+ * Run a search function over every query and time it
+ * @param {Function} searchFn - Search function to measure
+ * @param {Array<string>} queries - Queries to run
+ * @param {number} iterations - Times to repeat the whole query set
+ * @returns {number} Average milliseconds per query
+ */
+function timeSearch(searchFn, queries, iterations) {
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) {
+        queries.forEach(query => searchFn(query));
+    }
+    return (performance.now() - start) / (queries.length * iterations);
+}
+
+/**
+ * Describe the outcome of a search so two runs can be compared
+ * @param {Function} searchFn - Search function to call
+ * @returns {string} Serialized results, or the syntax error message
+ */
+function signature(searchFn) {
+    try {
+        return searchFn()
+            .map(result => `${result.term.area}|${result.term.termino_formal}|${result.score}|${result.field}|${result.matchType}`)
+            .join('\n');
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return `QuerySyntaxError: ${error.message}`;
+        }
+        throw error;
+    }
+}
+
+async function main() {
+    const iterations = parseInt(process.argv[2], 10) || 5;
+    const terms = await loadTerms();
+
+    const buildStart = performance.now();
+    const searchEngine = new SearchEngine(terms);
+    const buildTime = performance.now() - buildStart;
+
+    const queries = buildQueries(terms);
+
+    console.log(`Términos: ${terms.length}, tokens indexados: ${searchEngine.getSearchStats().indexedTokens}`);
+    console.log(`Construcción del índice: ${buildTime.toFixed(2)} ms`);
+    console.log(`Consultas: ${queries.length} x ${iterations} iteraciones`);
+
+    const mismatches = [];
+
+    SEARCH_OPTIONS.forEach(options => {
+        queries.forEach(query => {
+            const indexed = signature(() => searchEngine.search(query, options));
+            const linear = signature(() => searchEngine.linearSearch(query, options));
+            if (indexed !== linear) {
+                mismatches.push(`"${query}" ${JSON.stringify(options)}`);
+            }
+        });
+
+        const indexedTime = timeSearch(query => signature(() => searchEngine.search(query, options)), queries, iterations);
+        const linearTime = timeSearch(query => signature(() => searchEngine.linearSearch(query, options)), queries, iterations);
+
+        console.log(`\nOpciones: ${JSON.stringify(options)}`);
+        console.log(`  Búsqueda lineal:   ${linearTime.toFixed(3)} ms/consulta`);
+        console.log(`  Búsqueda indexada: ${indexedTime.toFixed(3)} ms/consulta (${(linearTime / indexedTime).toFixed(1)}x)`);
+    });
+
+    if (mismatches.length > 0) {
+        console.error(`\n${mismatches.length} consultas con resultados distintos:`);
+        mismatches.forEach(mismatch => console.error(`  - ${mismatch}`));
+        process.exitCode = 1;
+    } else {
+        console.log('\nResultados idénticos en todas las consultas.');
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+/**
+ * Diccionario Técnico Comunitario ITSC
+ * Data validation report: checks data/areas.json and every area file it
+ * lists against data/term.schema.json, including repeated terms within and
+ * across areas, and prints every problem with file, index and field.
+ *
+ * Usage: node tools/validate-data.js [--json]
+ * Exits with a non-zero status if any error is found; warnings do not fail.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataLoader, DataValidator } from '../js/data-loader.js';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+async function main() {
+    const asJson = process.argv.includes('--json');
+    const validator = new DataValidator(new DataLoader());
+    const problems = await validator.validateAll(
+        async file => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'))
+    );
+
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+
+    if (asJson) {
+        console.log(JSON.stringify(problems, null, 4));
+    } else {
+        problems.forEach(problem => console.log(DataValidator.formatProblem(problem)));
+        console.log(`\n${errors} errores, ${warnings} avisos`);
+    }
+
+    if (errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});